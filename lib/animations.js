@@ -0,0 +1,160 @@
+import * as THREE from 'three'
+import { PlayerConstants } from '@game/shared'
+
+// Clip names vary between models, so each player state matches any of these
+const PLAYER_CLIPS = {
+  idle: ['idle'],
+  walk: ['walk'],
+  run: ['run', 'sprint'],
+  jump: ['jump'],
+  fall: ['fall', 'air']
+}
+
+// What to play when a model is missing the clip for a state
+const FALLBACKS = {
+  run: 'walk',
+  walk: 'idle',
+  jump: 'fall',
+  fall: 'idle'
+}
+
+// Horizontal speeds (m/s) the walk and run clips were authored for
+const WALK_SPEED = 3
+const RUN_SPEED = 8
+// Halfway between walking and sprinting speed, so switching follows the server's tuning
+const RUN_THRESHOLD = PlayerConstants.MOVE_SPEED * (1 + PlayerConstants.SPRINT_MULTIPLIER) / 2
+
+// AnimationMixers for models with embedded GLTF clips, keyed the same way as
+// Interpolation buffers. Players blend between locomotion states from their
+// velocity; other clips (doors, gear...) are triggered by name with play().
+export class Animations {
+  static controllers = new Map()
+  static fadeDuration = 0.2
+
+  // Returns null for models without any clips
+  static attach(key, root) {
+    const structure = root.userData.structure
+    if (!structure || structure.animations.length === 0) return null
+
+    this.remove(key)
+
+    const mixer = new THREE.AnimationMixer(root)
+    const actions = new Map()
+    for (const clip of structure.animations) {
+      actions.set(clip.name.toLowerCase(), mixer.clipAction(clip))
+    }
+
+    const controller = { mixer, root, actions, state: null, current: null }
+    this.controllers.set(key, controller)
+    return controller
+  }
+
+  static findAction(controller, names) {
+    for (const name of names) {
+      if (controller.actions.has(name)) return controller.actions.get(name)
+    }
+
+    // Partial matches for names like "Armature|Walk_Cycle"
+    for (const [clipName, action] of controller.actions) {
+      if (names.some(name => clipName.includes(name))) return action
+    }
+    return null
+  }
+
+  static getPlayerState(playerData) {
+    const velocity = playerData.velocity || { x: 0, y: 0, z: 0 }
+    const speed = Math.sqrt(velocity.x ** 2 + velocity.z ** 2)
+
+    if (playerData.isGrounded === false) {
+      return { state: velocity.y > 0.5 ? 'jump' : 'fall', speed }
+    }
+    if (speed < 0.2) return { state: 'idle', speed }
+    return { state: speed < RUN_THRESHOLD ? 'walk' : 'run', speed }
+  }
+
+  static updatePlayer(key, playerData) {
+    const controller = this.controllers.get(key)
+    if (!controller) return
+
+    const { state, speed } = this.getPlayerState(playerData)
+
+    // Walk back along the fallbacks until the model has something to play
+    let resolved = state
+    let action = this.findAction(controller, PLAYER_CLIPS[resolved])
+    while (!action && FALLBACKS[resolved]) {
+      resolved = FALLBACKS[resolved]
+      action = this.findAction(controller, PLAYER_CLIPS[resolved])
+    }
+    if (!action) return
+
+    if (action !== controller.current) {
+      const once = resolved === 'jump'
+      action.setLoop(once ? THREE.LoopOnce : THREE.LoopRepeat, Infinity)
+      action.clampWhenFinished = once
+      action.reset().fadeIn(this.fadeDuration).play()
+      if (controller.current) {
+        controller.current.fadeOut(this.fadeDuration)
+      }
+      controller.current = action
+    }
+    controller.state = resolved
+
+    // Match footsteps to how fast the player is actually moving
+    if (resolved === 'walk' || resolved === 'run') {
+      const reference = resolved === 'walk' ? WALK_SPEED : RUN_SPEED
+      action.timeScale = THREE.MathUtils.clamp(speed / reference, 0.5, 2)
+    } else {
+      action.timeScale = 1
+    }
+  }
+
+  // Plays a named clip on its own, e.g. play(key, 'door') or play(key, 'gear', { reverse: true })
+  // to run it backwards from wherever it currently is. Returns false if the model has no such clip.
+  static play(key, name, { loop = false, reverse = false } = {}) {
+    const controller = this.controllers.get(key)
+    if (!controller) return false
+
+    const action = this.findAction(controller, [name.toLowerCase()])
+    if (!action) return false
+
+    const duration = action.getClip().duration
+    action.setLoop(loop ? THREE.LoopRepeat : THREE.LoopOnce, Infinity)
+    action.clampWhenFinished = !loop
+    action.timeScale = reverse ? -1 : 1
+    action.enabled = true
+    action.paused = false
+
+    // A finished one-shot is clamped at one end, start again from that end
+    if (!reverse && action.time >= duration) action.time = 0
+    if (reverse && action.time <= 0) action.time = duration
+
+    action.play()
+    return true
+  }
+
+  static has(key, name) {
+    const controller = this.controllers.get(key)
+    return !!controller && !!this.findAction(controller, [name.toLowerCase()])
+  }
+
+  static update(delta) {
+    for (const controller of this.controllers.values()) {
+      controller.mixer.update(delta)
+    }
+  }
+
+  static remove(key) {
+    const controller = this.controllers.get(key)
+    if (!controller) return
+
+    controller.mixer.stopAllAction()
+    controller.mixer.uncacheRoot(controller.root)
+    this.controllers.delete(key)
+  }
+
+  static clear() {
+    for (const key of Array.from(this.controllers.keys())) {
+      this.remove(key)
+    }
+  }
+}
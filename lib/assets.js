@@ -0,0 +1,106 @@
+import { ModelPaths } from '@game/shared/core/models.js'
+import { LEVEL_MODELS } from './scene.js'
+import { State } from './state.js'
+
+// Model downloads with per-file progress. Models.parse() takes the buffers
+// from here and skips files that failed instead of fetching them again
+export class Assets {
+  static buffers = new Map()
+
+  // Entity models from the shared table plus level props. Built on demand,
+  // scene.js imports this module indirectly so LEVEL_MODELS may not exist yet
+  // while it loads
+  static getModelFiles() {
+    return Array.from(new Set([...Object.values(ModelPaths), ...Object.values(LEVEL_MODELS)]))
+  }
+
+  static async load() {
+    if (State.assets.files.length === 0) {
+      State.assets.files = this.getModelFiles().map(path => ({
+        path,
+        loaded: 0,
+        total: null,
+        status: 'pending',
+        error: null
+      }))
+    }
+
+    // Retrying only downloads what isn't here yet
+    const pending = State.assets.files.filter(file => file.status !== 'done')
+    await Promise.all(pending.map(file => this.loadFile(file)))
+    return this.failures().length === 0
+  }
+
+  static async loadFile(file) {
+    file.status = 'loading'
+    file.loaded = 0
+    file.error = null
+
+    try {
+      const response = await fetch(file.path)
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`)
+      }
+
+      // Without a length the file still loads, just with no percentage
+      file.total = Number(response.headers.get('content-length')) || null
+
+      const reader = response.body.getReader()
+      const chunks = []
+      for (;;) {
+        const { done, value } = await reader.read()
+        if (done) break
+        chunks.push(value)
+        file.loaded += value.length
+      }
+
+      const buffer = new Uint8Array(file.loaded)
+      let offset = 0
+      for (const chunk of chunks) {
+        buffer.set(chunk, offset)
+        offset += chunk.length
+      }
+
+      this.buffers.set(file.path, buffer.buffer)
+      file.total = file.loaded
+      file.status = 'done'
+    } catch (error) {
+      console.error(`Failed to load model ${file.path}:`, error)
+      file.status = 'failed'
+      file.error = error.message
+    }
+  }
+
+  // Hands the buffer over once, the parsed model is cached by Models so
+  // keeping the raw bytes around would only double the memory
+  static take(path) {
+    const buffer = this.buffers.get(path) || null
+    this.buffers.delete(path)
+    return buffer
+  }
+
+  static hasFailed(path) {
+    return State.assets.files.some(file => file.path === path && file.status === 'failed')
+  }
+
+  static failures() {
+    return State.assets.files.filter(file => file.status === 'failed')
+  }
+
+  static getProgress(file) {
+    if (file.status === 'done') return 1
+    if (!file.total) return 0
+    return Math.min(1, file.loaded / file.total)
+  }
+
+  static getOverallProgress() {
+    const files = State.assets.files
+    if (files.length === 0) return 0
+    return files.reduce((sum, file) => sum + this.getProgress(file), 0) / files.length
+  }
+
+  static clear() {
+    this.buffers.clear()
+    State.assets.files = []
+  }
+}
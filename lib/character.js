@@ -0,0 +1,96 @@
+import RAPIER from '@dimforge/rapier3d-compat'
+import { PlayerConstants } from '@game/shared'
+
+// Movement tuning comes from PlayerConstants, the same values the server's
+// character controller runs with, so prediction can't drift from it
+const MAX_FALL_SPEED = -50
+
+// Kinematic capsule driven by a rapier character controller. Position is the
+// capsule centre, the same convention the server uses for player state.
+export class CharacterMotor {
+  constructor(world, position = { x: 0, y: 0, z: 0 }) {
+    this.world = world
+    this.position = { x: position.x, y: position.y, z: position.z }
+    this.velocity = { x: 0, y: 0, z: 0 }
+    this.isGrounded = false
+
+    const halfHeight = (PlayerConstants.HEIGHT - PlayerConstants.RADIUS * 2) / 2
+    this.collider = world.createCollider(
+      RAPIER.ColliderDesc.capsule(halfHeight, PlayerConstants.RADIUS)
+        .setTranslation(position.x, position.y, position.z)
+    )
+
+    this.controller = world.createCharacterController(0.01)
+    this.controller.setMaxSlopeClimbAngle(45 * Math.PI / 180)
+    this.controller.enableAutostep(0.3, 0.2, true)
+    this.controller.enableSnapToGround(0.3)
+  }
+
+  setState(position, velocity) {
+    this.position.x = position.x
+    this.position.y = position.y
+    this.position.z = position.z
+    this.collider.setTranslation(this.position)
+
+    if (velocity) {
+      this.velocity.x = velocity.x
+      this.velocity.y = velocity.y
+      this.velocity.z = velocity.z
+    }
+  }
+
+  step(input, lookDirection, dt) {
+    // Horizontal movement relative to where the player is looking
+    let forwardX = 0
+    let forwardZ = -1
+    if (lookDirection) {
+      const length = Math.sqrt(lookDirection.x ** 2 + lookDirection.z ** 2)
+      if (length > 0.0001) {
+        forwardX = lookDirection.x / length
+        forwardZ = lookDirection.z / length
+      }
+    }
+    const rightX = -forwardZ
+    const rightZ = forwardX
+
+    let moveX = 0
+    let moveZ = 0
+    if (input.moveForward) { moveX += forwardX; moveZ += forwardZ }
+    if (input.moveBackward) { moveX -= forwardX; moveZ -= forwardZ }
+    if (input.moveRight) { moveX += rightX; moveZ += rightZ }
+    if (input.moveLeft) { moveX -= rightX; moveZ -= rightZ }
+
+    const moveLength = Math.sqrt(moveX ** 2 + moveZ ** 2)
+    const speed = PlayerConstants.MOVE_SPEED * (input.shift ? PlayerConstants.SPRINT_MULTIPLIER : 1)
+    this.velocity.x = moveLength > 0 ? moveX / moveLength * speed : 0
+    this.velocity.z = moveLength > 0 ? moveZ / moveLength * speed : 0
+
+    // Vertical movement
+    if (this.isGrounded && input.jump) {
+      this.velocity.y = PlayerConstants.JUMP_SPEED
+    }
+    this.velocity.y = Math.max(this.velocity.y + PlayerConstants.GRAVITY * dt, MAX_FALL_SPEED)
+
+    this.controller.computeColliderMovement(this.collider, {
+      x: this.velocity.x * dt,
+      y: this.velocity.y * dt,
+      z: this.velocity.z * dt
+    })
+    const movement = this.controller.computedMovement()
+
+    this.position.x += movement.x
+    this.position.y += movement.y
+    this.position.z += movement.z
+    this.collider.setTranslation(this.position)
+
+    this.isGrounded = this.controller.computedGrounded()
+    if (this.isGrounded && this.velocity.y < 0) {
+      this.velocity.y = 0
+    }
+  }
+
+  dispose() {
+    this.world.removeCharacterController(this.controller)
+    this.world.removeCollider(this.collider, false)
+  }
+}
@@ -0,0 +1,107 @@
+import { MessageTypes } from '@game/shared'
+import { Network } from './network.js'
+import { Input } from './input.js'
+import { State } from './state.js'
+import { Entities } from './entities.js'
+import { Profile } from './profile.js'
+
+const MAX_HISTORY = 100
+const MAX_LENGTH = 200
+
+export class Chat {
+  // Slash commands handled here, anything else goes to the server as CHAT_COMMAND
+  static commands = {
+    help: {
+      description: 'List available commands',
+      run: () => {
+        for (const [name, command] of Object.entries(this.commands)) {
+          this.addSystemMessage(`/${name} - ${command.description}`)
+        }
+      }
+    },
+    ping: {
+      description: 'Show your round trip time to the server',
+      run: () => {
+        const rtt = State.network.rtt
+        this.addSystemMessage(rtt === null ? 'Ping not measured yet' : `Ping: ${Math.round(rtt)}ms`)
+      }
+    },
+    name: {
+      description: 'Change your display name, e.g. /name Alice',
+      run: (args) => {
+        const error = Profile.update({ name: args.join(' ') })
+        this.addSystemMessage(error || `You are now ${State.profile.name}`)
+      }
+    },
+    color: {
+      description: 'Change your color, e.g. /color #ff0000',
+      run: (args) => {
+        const error = Profile.update({ color: args[0] })
+        this.addSystemMessage(error || `Color changed to ${State.profile.color}`)
+      }
+    }
+  }
+
+  static open() {
+    if (State.chat.open) return
+
+    // Stop walking in whatever direction was held when chat opened
+    Input.releaseKeys()
+    if (document.pointerLockElement) {
+      document.exitPointerLock()
+    }
+    State.chat.open = true
+  }
+
+  static close() {
+    State.chat.open = false
+  }
+
+  static submit(text) {
+    text = text.trim().slice(0, MAX_LENGTH)
+    if (!text) return
+
+    if (text.startsWith('/')) {
+      this.runCommand(text.slice(1))
+    } else {
+      Network.send({ type: MessageTypes.CHAT_MESSAGE, text })
+    }
+  }
+
+  static runCommand(input) {
+    const [name, ...args] = input.split(/\s+/)
+    const command = this.commands[name.toLowerCase()]
+
+    if (command && command.run) {
+      command.run(args)
+      return
+    }
+
+    // Unknown commands may still mean something to the server
+    if (!State.connected) {
+      this.addSystemMessage(`Unknown command /${name}, try /help`)
+      return
+    }
+    Network.send({ type: MessageTypes.CHAT_COMMAND, command: name.toLowerCase(), args })
+  }
+
+  static receive(message) {
+    this.addMessage({
+      from: message.from,
+      name: message.name || (message.from ? Profile.displayName(Entities.players.get(message.from), message.from) : null),
+      text: message.text,
+      system: !!message.system
+    })
+  }
+
+  static addSystemMessage(text) {
+    this.addMessage({ from: null, name: null, text, system: true })
+  }
+
+  static addMessage(message) {
+    State.chat.messages.push({ ...message, id: ++State.chat.lastId, time: Date.now() })
+    if (State.chat.messages.length > MAX_HISTORY) {
+      State.chat.messages.shift()
+    }
+  }
+}
@@ -0,0 +1,439 @@
+// Wire codecs for the WebSocket protocol. JSON goes over text frames and the
+// binary codec over binary frames, so inbound messages can always be decoded
+// by looking at the frame type.
+
+export class JsonCodec {
+  static id = 'json'
+
+  encode(message) {
+    return JSON.stringify(message)
+  }
+
+  decode(data) {
+    return JSON.parse(data)
+  }
+}
+
+// Value tags for the binary format
+const Tag = {
+  NULL: 0,
+  FALSE: 1,
+  TRUE: 2,
+  INT: 3, // zigzag varint
+  FLOAT: 4, // float32
+  DOUBLE: 5, // float64, for large non-integers such as timestamps
+  STRING: 6, // varint byte length + utf8
+  STRING_DEF: 7, // as STRING, and appended to the string table
+  STRING_REF: 8, // varint index into the string table
+  ARRAY: 9, // varint count + values
+  OBJECT: 10, // varint count + key/value pairs
+  VEC3: 11, // 3 zigzag varints in 1 / VECTOR_SCALE units
+  QUAT: 12, // uint32, smallest-three packed
+  DIR: 13 // 3 int16 in 1 / DIRECTION_SCALE units
+}
+
+const VECTOR_SCALE = 100 // Positions and velocities are quantized to 1cm
+const DIRECTION_SCALE = 32767 // Unit vectors keep ~0.00003 per component
+// Only these fields are quantized, any other x/y/z object goes out as plain
+// floats. Rounding a unit vector to 1cm would visibly change the aim
+const VECTOR_KEYS = new Set(['position', 'velocity', 'origin'])
+const DIRECTION_KEYS = new Set(['direction', 'lookDirection'])
+// x/y/z/w objects under any other field (colors, rects) are left alone
+const QUAT_KEYS = new Set(['rotation', 'quaternion'])
+const QUAT_BITS = 10
+// Symmetric around the middle code so a 0 component comes back as exactly 0
+const QUAT_SCALE = (1 << (QUAT_BITS - 1)) - 1
+const MAX_INTERNED_LENGTH = 64
+const MAX_TABLE_SIZE = 4096
+
+const textEncoder = new TextEncoder()
+const textDecoder = new TextDecoder()
+
+class Writer {
+  constructor(size = 256) {
+    this.bytes = new Uint8Array(size)
+    this.view = new DataView(this.bytes.buffer)
+    this.offset = 0
+  }
+
+  ensure(length) {
+    if (this.offset + length <= this.bytes.length) return
+    let size = this.bytes.length * 2
+    while (size < this.offset + length) size *= 2
+    const bytes = new Uint8Array(size)
+    bytes.set(this.bytes)
+    this.bytes = bytes
+    this.view = new DataView(bytes.buffer)
+  }
+
+  u8(value) {
+    this.ensure(1)
+    this.bytes[this.offset++] = value
+  }
+
+  // Arithmetic rather than bitwise so values above 2^32 survive
+  varint(value) {
+    this.ensure(8)
+    while (value >= 0x80) {
+      this.bytes[this.offset++] = (value % 0x80) | 0x80
+      value = Math.floor(value / 0x80)
+    }
+    this.bytes[this.offset++] = value
+  }
+
+  zigzag(value) {
+    this.varint(value >= 0 ? value * 2 : -value * 2 - 1)
+  }
+
+  u32(value) {
+    this.ensure(4)
+    this.view.setUint32(this.offset, value, true)
+    this.offset += 4
+  }
+
+  i16(value) {
+    this.ensure(2)
+    this.view.setInt16(this.offset, value, true)
+    this.offset += 2
+  }
+
+  f32(value) {
+    this.ensure(4)
+    this.view.setFloat32(this.offset, value, true)
+    this.offset += 4
+  }
+
+  f64(value) {
+    this.ensure(8)
+    this.view.setFloat64(this.offset, value, true)
+    this.offset += 8
+  }
+
+  raw(bytes) {
+    this.ensure(bytes.length)
+    this.bytes.set(bytes, this.offset)
+    this.offset += bytes.length
+  }
+
+  finish() {
+    return this.bytes.slice(0, this.offset).buffer
+  }
+}
+
+class Reader {
+  constructor(buffer) {
+    this.bytes = new Uint8Array(buffer)
+    this.view = new DataView(this.bytes.buffer, this.bytes.byteOffset, this.bytes.byteLength)
+    this.offset = 0
+  }
+
+  u8() {
+    if (this.offset >= this.bytes.length) throw new Error('Unexpected end of message')
+    return this.bytes[this.offset++]
+  }
+
+  varint() {
+    let value = 0
+    let multiplier = 1
+    let byte
+    do {
+      byte = this.u8()
+      value += (byte & 0x7f) * multiplier
+      multiplier *= 0x80
+    } while (byte & 0x80)
+    return value
+  }
+
+  zigzag() {
+    const value = this.varint()
+    return value % 2 === 0 ? value / 2 : -(value + 1) / 2
+  }
+
+  u32() {
+    const value = this.view.getUint32(this.offset, true)
+    this.offset += 4
+    return value
+  }
+
+  i16() {
+    const value = this.view.getInt16(this.offset, true)
+    this.offset += 2
+    return value
+  }
+
+  f32() {
+    const value = this.view.getFloat32(this.offset, true)
+    this.offset += 4
+    return value
+  }
+
+  f64() {
+    const value = this.view.getFloat64(this.offset, true)
+    this.offset += 8
+    return value
+  }
+
+  raw(length) {
+    if (this.offset + length > this.bytes.length) throw new Error('Unexpected end of message')
+    const bytes = this.bytes.subarray(this.offset, this.offset + length)
+    this.offset += length
+    return bytes
+  }
+}
+
+function isVector(value, keys) {
+  if (keys.length !== 3) return false
+  return typeof value.x === 'number' && typeof value.y === 'number' && typeof value.z === 'number'
+}
+
+function packDirection(component) {
+  return Math.round(Math.min(Math.max(component, -1), 1) * DIRECTION_SCALE)
+}
+
+function isQuaternion(value, keys) {
+  if (keys.length !== 4) return false
+  return typeof value.x === 'number' && typeof value.y === 'number' &&
+    typeof value.z === 'number' && typeof value.w === 'number'
+}
+
+// Drop the largest component (recoverable from unit length) and pack the
+// other three into 10 bits each, with 2 bits saying which one was dropped
+function packQuaternion(q) {
+  const components = [q.x, q.y, q.z, q.w]
+  let largest = 0
+  for (let i = 1; i < 4; i++) {
+    if (Math.abs(components[i]) > Math.abs(components[largest])) largest = i
+  }
+
+  const sign = components[largest] < 0 ? -1 : 1
+  let packed = largest
+  for (let i = 0; i < 4; i++) {
+    if (i === largest) continue
+    const normalized = Math.min(Math.max(components[i] * sign * Math.SQRT2, -1), 1)
+    const quantized = Math.round(normalized * QUAT_SCALE) + QUAT_SCALE
+    packed = packed * (1 << QUAT_BITS) + quantized
+  }
+  return packed
+}
+
+function unpackQuaternion(packed) {
+  const components = [0, 0, 0, 0]
+  const values = []
+  for (let i = 0; i < 3; i++) {
+    values.unshift(packed % (1 << QUAT_BITS))
+    packed = Math.floor(packed / (1 << QUAT_BITS))
+  }
+  const largest = packed
+
+  let sum = 0
+  let index = 0
+  for (let i = 0; i < 4; i++) {
+    if (i === largest) continue
+    const value = (values[index++] - QUAT_SCALE) / QUAT_SCALE / Math.SQRT2
+    components[i] = value
+    sum += value * value
+  }
+  components[largest] = Math.sqrt(Math.max(0, 1 - sum))
+
+  return { x: components[0], y: components[1], z: components[2], w: components[3] }
+}
+
+// Compact binary format. Keys and short strings such as entity ids are sent
+// once and referred to by a small integer afterwards, so each direction keeps
+// its own string table for the lifetime of the connection.
+export class BinaryCodec {
+  static id = 'binary'
+
+  constructor() {
+    this.encodeTable = new Map()
+    this.decodeTable = []
+  }
+
+  encode(message) {
+    const writer = new Writer()
+    this.writeValue(writer, message)
+    return writer.finish()
+  }
+
+  decode(buffer) {
+    return this.readValue(new Reader(buffer))
+  }
+
+  // `key` is the field the value belongs to, it decides how vectors are packed
+  writeValue(writer, value, key) {
+    if (value === null || value === undefined) {
+      writer.u8(Tag.NULL)
+    } else if (value === true) {
+      writer.u8(Tag.TRUE)
+    } else if (value === false) {
+      writer.u8(Tag.FALSE)
+    } else if (typeof value === 'number') {
+      this.writeNumber(writer, value)
+    } else if (typeof value === 'string') {
+      this.writeString(writer, value)
+    } else if (Array.isArray(value)) {
+      writer.u8(Tag.ARRAY)
+      writer.varint(value.length)
+      for (const item of value) {
+        this.writeValue(writer, item)
+      }
+    } else if (typeof value === 'object') {
+      this.writeObject(writer, value, key)
+    } else {
+      writer.u8(Tag.NULL)
+    }
+  }
+
+  writeNumber(writer, value) {
+    if (Number.isSafeInteger(value)) {
+      writer.u8(Tag.INT)
+      writer.zigzag(value)
+    } else if (Number.isFinite(value) && Math.abs(value) < 65536) {
+      writer.u8(Tag.FLOAT)
+      writer.f32(value)
+    } else {
+      writer.u8(Tag.DOUBLE)
+      writer.f64(value)
+    }
+  }
+
+  writeString(writer, value) {
+    const index = this.encodeTable.get(value)
+    if (index !== undefined) {
+      writer.u8(Tag.STRING_REF)
+      writer.varint(index)
+      return
+    }
+
+    const internable = value.length <= MAX_INTERNED_LENGTH && this.encodeTable.size < MAX_TABLE_SIZE
+    if (internable) {
+      this.encodeTable.set(value, this.encodeTable.size)
+    }
+
+    const bytes = textEncoder.encode(value)
+    writer.u8(internable ? Tag.STRING_DEF : Tag.STRING)
+    writer.varint(bytes.length)
+    writer.raw(bytes)
+  }
+
+  writeObject(writer, value, field) {
+    const keys = Object.keys(value).filter(key => value[key] !== undefined)
+
+    if (DIRECTION_KEYS.has(field) && isVector(value, keys)) {
+      writer.u8(Tag.DIR)
+      writer.i16(packDirection(value.x))
+      writer.i16(packDirection(value.y))
+      writer.i16(packDirection(value.z))
+      return
+    }
+
+    if (VECTOR_KEYS.has(field) && isVector(value, keys)) {
+      writer.u8(Tag.VEC3)
+      writer.zigzag(Math.round(value.x * VECTOR_SCALE))
+      writer.zigzag(Math.round(value.y * VECTOR_SCALE))
+      writer.zigzag(Math.round(value.z * VECTOR_SCALE))
+      return
+    }
+
+    if (QUAT_KEYS.has(field) && isQuaternion(value, keys)) {
+      writer.u8(Tag.QUAT)
+      writer.u32(packQuaternion(value))
+      return
+    }
+
+    writer.u8(Tag.OBJECT)
+    writer.varint(keys.length)
+    for (const key of keys) {
+      this.writeString(writer, key)
+      this.writeValue(writer, value[key], key)
+    }
+  }
+
+  readValue(reader) {
+    const tag = reader.u8()
+    switch (tag) {
+      case Tag.NULL:
+        return null
+      case Tag.FALSE:
+        return false
+      case Tag.TRUE:
+        return true
+      case Tag.INT:
+        return reader.zigzag()
+      case Tag.FLOAT:
+        return reader.f32()
+      case Tag.DOUBLE:
+        return reader.f64()
+      case Tag.STRING:
+      case Tag.STRING_DEF:
+      case Tag.STRING_REF:
+        return this.readString(reader, tag)
+      case Tag.ARRAY: {
+        const length = reader.varint()
+        const array = new Array(length)
+        for (let i = 0; i < length; i++) {
+          array[i] = this.readValue(reader)
+        }
+        return array
+      }
+      case Tag.OBJECT: {
+        const count = reader.varint()
+        const object = {}
+        for (let i = 0; i < count; i++) {
+          const key = this.readString(reader, reader.u8())
+          object[key] = this.readValue(reader)
+        }
+        return object
+      }
+      case Tag.VEC3:
+        return {
+          x: reader.zigzag() / VECTOR_SCALE,
+          y: reader.zigzag() / VECTOR_SCALE,
+          z: reader.zigzag() / VECTOR_SCALE
+        }
+      case Tag.DIR:
+        return {
+          x: reader.i16() / DIRECTION_SCALE,
+          y: reader.i16() / DIRECTION_SCALE,
+          z: reader.i16() / DIRECTION_SCALE
+        }
+      case Tag.QUAT:
+        return unpackQuaternion(reader.u32())
+      default:
+        throw new Error(`Unknown binary tag ${tag}`)
+    }
+  }
+
+  readString(reader, tag) {
+    if (tag === Tag.STRING_REF) {
+      const index = reader.varint()
+      if (index >= this.decodeTable.length) {
+        throw new Error(`Unknown string reference ${index}`)
+      }
+      return this.decodeTable[index]
+    }
+
+    if (tag !== Tag.STRING && tag !== Tag.STRING_DEF) {
+      throw new Error(`Expected string, got tag ${tag}`)
+    }
+
+    const value = textDecoder.decode(reader.raw(reader.varint()))
+    if (tag === Tag.STRING_DEF) {
+      this.decodeTable.push(value)
+    }
+    return value
+  }
+}
+
+// Size of an encoded frame in bytes. String length counts UTF-16 code units,
+// which undercounts anything outside ASCII. Encoding every frame again costs
+// too much to do all the time, so without `exact` JSON gets that estimate
+export function getByteLength(data, exact = true) {
+  if (typeof data !== 'string') return data.byteLength
+  return exact ? textEncoder.encode(data).byteLength : data.length
+}
+
+export const Codecs = {
+  [JsonCodec.id]: JsonCodec,
+  [BinaryCodec.id]: BinaryCodec
+}
@@ -0,0 +1,110 @@
+import * as THREE from 'three'
+import { Scene } from './scene.js'
+import { Entities } from './entities.js'
+import { Profile } from './profile.js'
+import { State } from './state.js'
+
+export const INDICATOR_DURATION = 1500 // ms a damage arc stays up
+const MAX_INDICATORS = 8
+const KILL_FEED_LENGTH = 5
+const DEATH_DEDUPE_WINDOW = 1000 // HIT and PLAYER_DIED can both report the same death
+
+// Turns HIT and death events into HUD state for CombatHud: damage arcs,
+// hit markers and the kill feed
+export class Combat {
+  static recentDeaths = new Map() // victim id -> time of the last kill feed entry
+  static forward = new THREE.Vector3()
+
+  static handleHit(hit) {
+    if (hit.target === State.playerId) {
+      this.addDamageIndicator(hit)
+    }
+
+    if (hit.shooter === State.playerId && hit.target !== State.playerId) {
+      State.combat.hitMarker = {
+        time: performance.now(),
+        kill: hit.health !== undefined && hit.health <= 0
+      }
+    }
+
+    // Servers that don't send PLAYER_DIED still tell us the remaining health
+    if (hit.health !== undefined && hit.health <= 0) {
+      this.addKill(hit.shooter, hit.target)
+    }
+  }
+
+  static handleDeath(message) {
+    this.addKill(message.killer, message.playerId)
+  }
+
+  static addDamageIndicator(hit) {
+    State.combat.lastDamageTime = performance.now()
+
+    // Remember where the shot came from, the shooter may move or vanish
+    const shooterPosition = hit.shooter ? Entities.getPlayerPosition(hit.shooter) : null
+    const source = shooterPosition || hit.origin
+    if (!source) return
+
+    State.combat.damageIndicators.push({
+      id: ++State.combat.lastId,
+      source: { x: source.x, z: source.z },
+      time: performance.now()
+    })
+    if (State.combat.damageIndicators.length > MAX_INDICATORS) {
+      State.combat.damageIndicators.shift()
+    }
+  }
+
+  // Angle of an indicator's source relative to where the camera faces, in
+  // radians clockwise from straight ahead
+  static getIndicatorAngle(indicator) {
+    const position = Entities.getPlayerPosition(State.playerId)
+    if (!position) return 0
+
+    Scene.camera.getWorldDirection(this.forward)
+    const dx = indicator.source.x - position.x
+    const dz = indicator.source.z - position.z
+    const ahead = dx * this.forward.x + dz * this.forward.z
+    const right = dx * -this.forward.z + dz * this.forward.x
+    return Math.atan2(right, ahead)
+  }
+
+  // Drops indicators that have faded, called by CombatHud every frame
+  static expireIndicators(now) {
+    const indicators = State.combat.damageIndicators
+    while (indicators.length > 0 && now - indicators[0].time > INDICATOR_DURATION) {
+      indicators.shift()
+    }
+  }
+
+  static addKill(killerId, victimId) {
+    const now = performance.now()
+    const last = this.recentDeaths.get(victimId)
+    if (last !== undefined && now - last < DEATH_DEDUPE_WINDOW) return
+    this.recentDeaths.set(victimId, now)
+
+    State.combat.killFeed.push({
+      id: ++State.combat.lastId,
+      killer: killerId ? this.getName(killerId) : null,
+      victim: this.getName(victimId),
+      involvesYou: killerId === State.playerId || victimId === State.playerId,
+      time: Date.now()
+    })
+    if (State.combat.killFeed.length > KILL_FEED_LENGTH) {
+      State.combat.killFeed.shift()
+    }
+  }
+
+  static getName(playerId) {
+    if (playerId === State.playerId) return State.profile.name || 'You'
+    return Profile.displayName(Entities.players.get(playerId), playerId)
+  }
+
+  static reset() {
+    this.recentDeaths.clear()
+    State.combat.damageIndicators = []
+    State.combat.hitMarker = null
+    State.combat.killFeed = []
+    State.combat.lastDamageTime = null
+  }
+}
@@ -6,18 +6,37 @@ import { Entities } from './entities.js'
 import { Vehicles } from './vehicles.js'
 import { Ghosts } from './ghosts.js'
 import { State } from './state.js'
+import { Input } from './input.js'
+import { Effects } from './effects.js'
 
 export class Control {
   static cameraRotation = { x: 0, y: 0 }
+  static freeCameraSpeed = 10
+  static deathOrbitAngle = 0
 
   static init() {
     // No callbacks needed anymore!
   }
 
-  static updateCamera() {
+  static updateCamera(delta) {
+    if (State.freeCamera) {
+      this.updateFreeCamera(delta)
+      return
+    }
+    
+    if (State.spectating) {
+      this.updateSpectatorCamera()
+      return
+    }
+    
+    if (State.death) {
+      this.updateDeathCamera(delta)
+      return
+    }
+    
     if (!State.playerId || !Entities.players.has(State.playerId)) return
     
-    const player = Entities.players.get(State.playerId)
+    const position = Entities.getPlayerPosition(State.playerId)
     
     if (State.currentVehicle) {
       // Third-person vehicle camera
@@ -65,24 +84,24 @@ export class Control {
       )
       
       Scene.camera.position.set(
-        player.position.x + offset.x,
-        player.position.y + offset.y,
-        player.position.z + offset.z
+        position.x + offset.x,
+        position.y + offset.y,
+        position.z + offset.z
       )
       
       // Look at player center
       Scene.camera.lookAt(
-        player.position.x,
-        player.position.y,
-        player.position.z
+        position.x,
+        position.y,
+        position.z
       )
     } else {
       // First-person camera - at eye level
       const eyeHeight = PlayerConstants.HEIGHT / 2 - 0.1
       Scene.camera.position.set(
-        player.position.x,
-        player.position.y + eyeHeight,
-        player.position.z
+        position.x,
+        position.y + eyeHeight,
+        position.z
       )
       
       // Apply rotation
@@ -92,6 +111,110 @@ export class Control {
     }
   }
 
+  static updateFreeCamera(delta) {
+    Scene.camera.rotation.order = 'YXZ'
+    Scene.camera.rotation.y = this.cameraRotation.y
+    Scene.camera.rotation.x = this.cameraRotation.x
+    
+    // Fly along wherever the camera is pointing
+    const forward = new THREE.Vector3(0, 0, -1).applyQuaternion(Scene.camera.quaternion)
+    const right = new THREE.Vector3(1, 0, 0).applyQuaternion(Scene.camera.quaternion)
+    const move = new THREE.Vector3()
+    
+    if (Input.keys['KeyW']) move.add(forward)
+    if (Input.keys['KeyS']) move.sub(forward)
+    if (Input.keys['KeyD']) move.add(right)
+    if (Input.keys['KeyA']) move.sub(right)
+    if (Input.keys['Space']) move.y += 1
+    if (Input.keys['KeyZ']) move.y -= 1
+    
+    if (move.lengthSq() > 0) {
+      const boost = Input.keys['ShiftLeft'] || Input.keys['ShiftRight'] ? 3 : 1
+      move.normalize().multiplyScalar(this.freeCameraSpeed * boost * delta)
+      Scene.camera.position.add(move)
+    }
+  }
+
+  static getSpectateTargets() {
+    const targets = []
+    for (const id of Entities.playerMeshes.keys()) {
+      targets.push({ kind: 'player', id })
+    }
+    for (const id of Vehicles.vehicleMeshes.keys()) {
+      targets.push({ kind: 'vehicle', id })
+    }
+    return targets
+  }
+
+  static getSpectateMesh(target) {
+    if (!target) return null
+    return target.kind === 'vehicle'
+      ? Vehicles.vehicleMeshes.get(target.id)
+      : Entities.playerMeshes.get(target.id)
+  }
+
+  static cycleSpectateTarget(step) {
+    if (!State.spectating) return
+    
+    const targets = this.getSpectateTargets()
+    if (targets.length === 0) {
+      State.spectateTarget = null
+      return
+    }
+    
+    const current = State.spectateTarget
+    const index = current
+      ? targets.findIndex(target => target.kind === current.kind && target.id === current.id)
+      : -1
+    const next = index === -1 ? 0 : (index + step + targets.length) % targets.length
+    
+    State.spectateTarget = targets[next]
+    State.freeCamera = false
+  }
+
+  static updateSpectatorCamera() {
+    let mesh = this.getSpectateMesh(State.spectateTarget)
+    if (!mesh) {
+      // Nobody picked yet or the target left, move on to whoever is next
+      this.cycleSpectateTarget(1)
+      mesh = this.getSpectateMesh(State.spectateTarget)
+      if (!mesh) return
+    }
+    
+    if (State.spectateTarget.kind === 'vehicle') {
+      // Same chase view the driver gets
+      const offset = new THREE.Vector3(0, 5, 10).applyQuaternion(mesh.quaternion)
+      Scene.camera.position.copy(mesh.position).add(offset)
+      Scene.camera.lookAt(mesh.position.x, mesh.position.y + 2, mesh.position.z)
+    } else {
+      // Orbit the player with the mouse
+      const distance = 5
+      const height = 3
+      Scene.camera.position.set(
+        mesh.position.x + Math.sin(this.cameraRotation.y) * distance,
+        mesh.position.y + height,
+        mesh.position.z + Math.cos(this.cameraRotation.y) * distance
+      )
+      Scene.camera.lookAt(mesh.position)
+    }
+  }
+
+  // Slow orbit around whoever killed us, or where we died if they're not around
+  static updateDeathCamera(delta) {
+    const killerMesh = State.death.killer ? Entities.playerMeshes.get(State.death.killer) : null
+    const focus = killerMesh ? killerMesh.position : Entities.getPlayerPosition(State.playerId)
+    if (!focus) return
+    
+    this.deathOrbitAngle += delta * 0.5
+    const distance = 6
+    Scene.camera.position.set(
+      focus.x + Math.sin(this.deathOrbitAngle) * distance,
+      focus.y + 3,
+      focus.z + Math.cos(this.deathOrbitAngle) * distance
+    )
+    Scene.camera.lookAt(focus.x, focus.y, focus.z)
+  }
+
   static getLookDirection() {
     const direction = new THREE.Vector3(0, 0, -1)
     direction.applyQuaternion(Scene.camera.quaternion)
@@ -136,7 +259,7 @@ export class Control {
   }
 
   static handleShoot() {
-    if (!State.playerId || !State.connected) return
+    if (!State.playerId || !State.connected || State.death) return
     
     const player = Entities.players.get(State.playerId)
     if (!player) return
@@ -160,10 +283,11 @@ export class Control {
     direction.normalize()
     
     // Shoot from slightly in front of player
+    const position = Entities.getPlayerPosition(State.playerId)
     const origin = {
-      x: player.position.x + direction.x * 1,
-      y: player.position.y + 1.5,
-      z: player.position.z + direction.z * 1
+      x: position.x + direction.x * 1,
+      y: position.y + 1.5,
+      z: position.z + direction.z * 1
     }
     
     Network.send({
@@ -171,6 +295,9 @@ export class Control {
       direction: { x: direction.x, y: direction.y, z: direction.z },
       origin: origin
     })
+    
+    // Flash straight away rather than waiting a round trip for PROJECTILE_SPAWN
+    Effects.muzzleFlash(origin)
   }
 
   static checkNearbyVehicles() {
@@ -237,8 +364,22 @@ export class Control {
     State.thirdPerson = !State.thirdPerson
   }
 
+  static toggleFreeCamera() {
+    // Only available where there is no player of our own to drive
+    if (!State.spectating) return
+    
+    if (!State.freeCamera) {
+      // Carry on flying from wherever the chase camera was looking
+      const euler = new THREE.Euler().setFromQuaternion(Scene.camera.quaternion, 'YXZ')
+      this.cameraRotation.x = euler.x
+      this.cameraRotation.y = euler.y
+    }
+    State.freeCamera = !State.freeCamera
+  }
+
   static toggleDebugInfo() {
     State.showDebugInfo = !State.showDebugInfo
     Entities.updateDebugVisualization()
+    Scene.showVolumes(State.showDebugInfo)
   }
 }
\ No newline at end of file
@@ -0,0 +1,94 @@
+import { MessageTypes } from '@game/shared'
+import { Network } from './network.js'
+import { Input } from './input.js'
+import { Prediction } from './prediction.js'
+import { State } from './state.js'
+
+const DEFAULT_RESPAWN_DELAY = 5000
+// Without a PLAYER_RESPAWNED by then the server refused (say its timer is
+// behind ours) or the request was lost, so the button comes back
+const RESPAWN_TIMEOUT = 3000
+
+// Local player's death: input stops, the camera orbits the killer and the
+// DeathScreen counts down until we can ask the server for a respawn
+export class Death {
+  static requestTimer = null
+
+  static begin(info = {}) {
+    if (!State.death) {
+      // Nothing held down should still be pressed when we come back
+      Input.releaseKeys()
+
+      State.death = {
+        killer: null,
+        respawnAt: Date.now() + DEFAULT_RESPAWN_DELAY,
+        spawnPoints: [],
+        selectedSpawn: null,
+        requested: false,
+        failed: false
+      }
+    }
+
+    // PLAYER_DIED can land after the snapshot that showed us dead and knows more
+    const death = State.death
+    if (info.killer) {
+      death.killer = info.killer
+    }
+    if (info.respawnDelay !== undefined) {
+      death.respawnAt = Date.now() + info.respawnDelay
+    }
+    if (Array.isArray(info.spawnPoints) && info.spawnPoints.length > 0) {
+      death.spawnPoints = info.spawnPoints
+      death.selectedSpawn = info.spawnPoints[0].id
+    }
+  }
+
+  static selectSpawn(spawnPointId) {
+    if (State.death) {
+      State.death.selectedSpawn = spawnPointId
+    }
+  }
+
+  static canRespawn() {
+    return !!State.death && !State.death.requested && Date.now() >= State.death.respawnAt
+  }
+
+  static requestRespawn() {
+    if (!this.canRespawn()) return
+
+    State.death.requested = true
+    State.death.failed = false
+    Network.send({ type: MessageTypes.RESPAWN, spawnPoint: State.death.selectedSpawn })
+
+    clearTimeout(this.requestTimer)
+    this.requestTimer = setTimeout(() => this.cancelRequest(), RESPAWN_TIMEOUT)
+  }
+
+  // Lets the player ask again, also used when the connection drops mid request
+  static cancelRequest() {
+    clearTimeout(this.requestTimer)
+    this.requestTimer = null
+    if (!State.death || !State.death.requested) return
+
+    State.death.requested = false
+    State.death.failed = true
+  }
+
+  static finish() {
+    clearTimeout(this.requestTimer)
+    this.requestTimer = null
+    if (!State.death) return
+
+    State.death = null
+    Prediction.reset()
+  }
+
+  // Snapshots are the fallback for servers without PLAYER_DIED/PLAYER_RESPAWNED
+  static updateFromState(playerData) {
+    if (playerData.health <= 0) {
+      this.begin()
+    } else if (State.death) {
+      this.finish()
+    }
+  }
+}
@@ -0,0 +1,130 @@
+import { State } from './state.js'
+
+// Connection metrics for the debug overlay. Rolling series feed the graphs,
+// summaries are copied into State once a second.
+export class Diagnostics {
+  static historyLength = 120
+  static series = {
+    rtt: [],
+    jitter: [],
+    interArrival: [],
+    bytesIn: [],
+    bytesOut: []
+  }
+  static rtt = null
+  static jitter = 0
+  static lastSnapshotTime = null
+  static bytesIn = 0
+  static bytesOut = 0
+  static byType = new Map() // type -> { in, out } for the current second
+  static malformed = 0
+  static unknown = 0
+  static handlerErrors = 0
+  static lastError = null
+
+  static push(name, value) {
+    const series = this.series[name]
+    series.push(value)
+    if (series.length > this.historyLength) {
+      series.shift()
+    }
+  }
+
+  static recordIn(type, bytes) {
+    this.bytesIn += bytes
+    this.getTypeStats(type).in += bytes
+  }
+
+  static recordOut(type, bytes) {
+    this.bytesOut += bytes
+    this.getTypeStats(type).out += bytes
+  }
+
+  static getTypeStats(type) {
+    let stats = this.byType.get(type)
+    if (!stats) {
+      stats = { in: 0, out: 0 }
+      this.byType.set(type, stats)
+    }
+    return stats
+  }
+
+  // Frames we couldn't decode or that have no type
+  static recordMalformed(error) {
+    this.malformed++
+    this.lastError = error.message
+    console.warn('Malformed message:', error)
+  }
+
+  // Valid messages our own handler threw on, a client bug rather than bad input
+  static recordHandlerError(type, error) {
+    this.handlerErrors++
+    this.lastError = `${type} handler: ${error.message}`
+    console.error(`Error handling ${type}:`, error)
+  }
+
+  // Well-formed messages of a type this client doesn't know about
+  static recordUnknown(type) {
+    this.unknown++
+    this.lastError = `Unknown message type: ${type}`
+  }
+
+  static recordSnapshot() {
+    const now = performance.now()
+    if (this.lastSnapshotTime !== null) {
+      this.push('interArrival', now - this.lastSnapshotTime)
+    }
+    this.lastSnapshotTime = now
+  }
+
+  static recordPong(sentAt) {
+    const rtt = performance.now() - sentAt
+
+    // Interarrival jitter estimate as in RFC 3550
+    if (this.rtt !== null) {
+      this.jitter += (Math.abs(rtt - this.rtt) - this.jitter) / 16
+    }
+    this.rtt = rtt
+
+    this.push('rtt', rtt)
+    this.push('jitter', this.jitter)
+  }
+
+  // Called once a second from the engine loop
+  static tick() {
+    this.push('bytesIn', this.bytesIn)
+    this.push('bytesOut', this.bytesOut)
+
+    const arrivals = this.series.interArrival.slice(-20)
+    State.network.rtt = this.rtt
+    State.network.jitter = this.jitter
+    State.network.interArrival = arrivals.length > 0
+      ? arrivals.reduce((sum, value) => sum + value, 0) / arrivals.length
+      : null
+    State.network.bytesIn = this.bytesIn
+    State.network.bytesOut = this.bytesOut
+    State.network.malformed = this.malformed
+    State.network.unknown = this.unknown
+    State.network.handlerErrors = this.handlerErrors
+    State.network.lastError = this.lastError
+    State.network.byType = Array.from(this.byType, ([type, stats]) => ({ type, ...stats }))
+      .sort((a, b) => (b.in + b.out) - (a.in + a.out))
+
+    this.bytesIn = 0
+    this.bytesOut = 0
+    this.byType.clear()
+  }
+
+  static reset() {
+    for (const name of Object.keys(this.series)) {
+      this.series[name] = []
+    }
+    this.rtt = null
+    this.jitter = 0
+    this.lastSnapshotTime = null
+    this.malformed = 0
+    this.unknown = 0
+    this.handlerErrors = 0
+    this.lastError = null
+  }
+}
@@ -0,0 +1,359 @@
+import * as THREE from 'three'
+import { Scene } from './scene.js'
+
+const TRACER_LENGTH = 3 // Metres of trail behind each projectile
+const TRACER_FADE = 0.15 // Seconds the trail lingers after the projectile is gone
+const TRACER_COLOR = new THREE.Color(1, 0.9, 0.5)
+const FLASH_DURATION = 0.06
+const FLASH_LIGHTS = 4 // Lights stay in the scene so adding/removing them doesn't recompile shaders
+const SPARK_COUNT = 12
+const SPARK_LIFETIME = 0.4
+const IMPACT_COLOR = 0xffcc66
+const HIT_COLOR = 0xff3333
+const MAX_EXTRAPOLATION = 0.5 // Seconds a projectile keeps flying without hearing from the server
+
+// Keeps released objects around for reuse. Everything stays in the scene and
+// is just hidden while it's free.
+class Pool {
+  constructor(create) {
+    this.create = create
+    this.items = []
+    this.free = []
+  }
+
+  acquire() {
+    let item = this.free.pop()
+    if (!item) {
+      item = this.create()
+      this.items.push(item)
+      Scene.scene.add(item)
+    }
+    item.visible = true
+    return item
+  }
+
+  release(item) {
+    item.visible = false
+    this.free.push(item)
+  }
+
+  dispose() {
+    for (const item of this.items) {
+      Scene.scene.remove(item)
+    }
+    this.items = []
+    this.free = []
+  }
+}
+
+// Pooled projectile visuals: extrapolated heads with tracer trails, muzzle
+// flashes and impact sparks
+export class Effects {
+  static liveProjectiles = new Set()
+  static active = new Set() // Fading tracers, flashes and sparks, see update()
+  static hitProjectiles = new Set() // ids of live projectiles whose HIT already sparked
+  static lights = []
+  static nextLight = 0
+  static pools = null
+  static scratch = new THREE.Vector3()
+
+  static init() {
+    this.glowTexture = this.createGlowTexture()
+    this.projectileGeometry = new THREE.SphereGeometry(0.06, 8, 6)
+    this.projectileMaterial = new THREE.MeshBasicMaterial({ color: 0xffffaa })
+    this.tracerMaterial = new THREE.LineBasicMaterial({
+      vertexColors: true,
+      transparent: true,
+      blending: THREE.AdditiveBlending,
+      depthWrite: false
+    })
+
+    this.pools = {
+      projectiles: new Pool(() => {
+        const mesh = new THREE.Mesh(this.projectileGeometry, this.projectileMaterial)
+        mesh.userData = {
+          origin: new THREE.Vector3(),
+          start: new THREE.Vector3(),
+          velocity: new THREE.Vector3(),
+          time: 0,
+          tracer: null
+        }
+        return mesh
+      }),
+
+      tracers: new Pool(() => {
+        const geometry = new THREE.BufferGeometry()
+        geometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(6), 3))
+        geometry.setAttribute('color', new THREE.BufferAttribute(new Float32Array(8), 4))
+        const line = new THREE.Line(geometry, this.tracerMaterial)
+        line.frustumCulled = false
+        return line
+      }),
+
+      flashes: new Pool(() => new THREE.Sprite(new THREE.SpriteMaterial({
+        map: this.glowTexture,
+        color: 0xffcc66,
+        transparent: true,
+        blending: THREE.AdditiveBlending,
+        depthWrite: false
+      }))),
+
+      sparks: new Pool(() => {
+        const geometry = new THREE.BufferGeometry()
+        geometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(SPARK_COUNT * 3), 3))
+        const points = new THREE.Points(geometry, new THREE.PointsMaterial({
+          size: 0.08,
+          transparent: true,
+          blending: THREE.AdditiveBlending,
+          depthWrite: false
+        }))
+        points.frustumCulled = false
+        points.userData.velocities = new Float32Array(SPARK_COUNT * 3)
+        return points
+      })
+    }
+
+    for (let i = 0; i < FLASH_LIGHTS; i++) {
+      const light = new THREE.PointLight(0xffaa44, 0, 6)
+      Scene.scene.add(light)
+      this.lights.push(light)
+    }
+  }
+
+  static createGlowTexture() {
+    const canvas = document.createElement('canvas')
+    canvas.width = 64
+    canvas.height = 64
+    const context = canvas.getContext('2d')
+    const gradient = context.createRadialGradient(32, 32, 0, 32, 32, 32)
+    gradient.addColorStop(0, 'rgba(255, 255, 255, 1)')
+    gradient.addColorStop(0.3, 'rgba(255, 255, 255, 0.6)')
+    gradient.addColorStop(1, 'rgba(255, 255, 255, 0)')
+    context.fillStyle = gradient
+    context.fillRect(0, 0, 64, 64)
+    return new THREE.CanvasTexture(canvas)
+  }
+
+  static spawnProjectile(projectileData) {
+    const mesh = this.pools.projectiles.acquire()
+    this.updateProjectile(mesh, projectileData)
+    mesh.userData.start.copy(mesh.userData.origin)
+    mesh.userData.tracer = this.pools.tracers.acquire()
+    mesh.position.copy(mesh.userData.origin)
+    this.liveProjectiles.add(mesh)
+    return mesh
+  }
+
+  // New authoritative position, extrapolation restarts from here
+  static updateProjectile(mesh, projectileData) {
+    const { origin, velocity } = mesh.userData
+    origin.set(projectileData.position.x, projectileData.position.y, projectileData.position.z)
+    if (projectileData.velocity) {
+      velocity.set(projectileData.velocity.x, projectileData.velocity.y, projectileData.velocity.z)
+    }
+    mesh.userData.time = performance.now()
+  }
+
+  // Called whenever a projectile goes away, however it went
+  static forgetProjectile(projectileId) {
+    this.hitProjectiles.delete(projectileId)
+  }
+
+  static releaseProjectile(mesh) {
+    if (!this.liveProjectiles.delete(mesh)) return
+
+    // Leave the trail behind to fade out rather than vanish
+    this.active.add({ type: 'tracer', object: mesh.userData.tracer, age: 0 })
+    mesh.userData.tracer = null
+    this.pools.projectiles.release(mesh)
+  }
+
+  static muzzleFlash(position) {
+    const sprite = this.pools.flashes.acquire()
+    sprite.position.set(position.x, position.y, position.z)
+    sprite.material.rotation = Math.random() * Math.PI * 2
+    sprite.material.opacity = 1
+
+    // Round robin, a new flash steals the oldest light
+    const light = this.lights[this.nextLight]
+    this.nextLight = (this.nextLight + 1) % this.lights.length
+    light.position.copy(sprite.position)
+
+    const effect = { type: 'flash', object: sprite, light, age: 0 }
+    light.userData.effect = effect
+    this.active.add(effect)
+  }
+
+  // Sparks where a projectile hit the world. A projectile that hit a player
+  // is also removed at that point, its HIT already made the sparks
+  static impact(position, projectileId) {
+    if (this.hitProjectiles.has(projectileId)) return
+    this.sparks(position, IMPACT_COLOR)
+  }
+
+  // Sparks where a projectile hit a player
+  static hit(position, projectileId) {
+    if (projectileId !== undefined) this.hitProjectiles.add(projectileId)
+    this.sparks(position, HIT_COLOR)
+  }
+
+  static sparks(position, color) {
+    const points = this.pools.sparks.acquire()
+    points.material.color.set(color)
+    points.material.opacity = 1
+
+    const positions = points.geometry.attributes.position.array
+    const velocities = points.userData.velocities
+    for (let i = 0; i < SPARK_COUNT; i++) {
+      positions[i * 3] = position.x
+      positions[i * 3 + 1] = position.y
+      positions[i * 3 + 2] = position.z
+
+      // Random direction, biased upwards so sparks bounce off rather than into the ground
+      const speed = 2 + Math.random() * 3
+      const theta = Math.random() * Math.PI * 2
+      const phi = Math.random() * Math.PI * 0.6
+      velocities[i * 3] = Math.sin(phi) * Math.cos(theta) * speed
+      velocities[i * 3 + 1] = Math.cos(phi) * speed
+      velocities[i * 3 + 2] = Math.sin(phi) * Math.sin(theta) * speed
+    }
+    points.geometry.attributes.position.needsUpdate = true
+
+    this.active.add({ type: 'sparks', object: points, age: 0 })
+  }
+
+  static update(delta) {
+    if (!this.pools) return
+
+    // Projectiles fly on between snapshots along their last known velocity
+    const now = performance.now()
+    for (const mesh of this.liveProjectiles) {
+      const { origin, velocity, start, tracer } = mesh.userData
+      const elapsed = Math.min((now - mesh.userData.time) / 1000, MAX_EXTRAPOLATION)
+      mesh.position.copy(origin).addScaledVector(velocity, elapsed)
+      this.drawTracer(tracer, start, mesh.position)
+    }
+
+    for (const effect of this.active) {
+      effect.age += delta
+      if (!this.updateEffect(effect, delta)) {
+        this.finishEffect(effect)
+      }
+    }
+  }
+
+  // Returns false once the effect has run its course
+  static updateEffect(effect, delta) {
+    switch (effect.type) {
+      case 'tracer': {
+        const alpha = 1 - effect.age / TRACER_FADE
+        effect.object.geometry.attributes.color.array[7] = Math.max(alpha, 0)
+        effect.object.geometry.attributes.color.needsUpdate = true
+        return alpha > 0
+      }
+
+      case 'flash': {
+        const t = effect.age / FLASH_DURATION
+        effect.object.scale.setScalar(0.4 + t * 0.4)
+        effect.object.material.opacity = 1 - t
+        if (effect.light.userData.effect === effect) {
+          effect.light.intensity = Math.max(1 - t, 0) * 3
+        }
+        return t < 1
+      }
+
+      case 'sparks': {
+        const positions = effect.object.geometry.attributes.position.array
+        const velocities = effect.object.userData.velocities
+        for (let i = 0; i < SPARK_COUNT; i++) {
+          velocities[i * 3 + 1] -= 9.81 * delta
+          positions[i * 3] += velocities[i * 3] * delta
+          positions[i * 3 + 1] += velocities[i * 3 + 1] * delta
+          positions[i * 3 + 2] += velocities[i * 3 + 2] * delta
+        }
+        effect.object.geometry.attributes.position.needsUpdate = true
+        effect.object.material.opacity = 1 - effect.age / SPARK_LIFETIME
+        return effect.age < SPARK_LIFETIME
+      }
+    }
+    return false
+  }
+
+  static finishEffect(effect) {
+    this.active.delete(effect)
+
+    switch (effect.type) {
+      case 'tracer':
+        this.pools.tracers.release(effect.object)
+        break
+      case 'flash':
+        if (effect.light.userData.effect === effect) {
+          effect.light.intensity = 0
+          effect.light.userData.effect = null
+        }
+        this.pools.flashes.release(effect.object)
+        break
+      case 'sparks':
+        this.pools.sparks.release(effect.object)
+        break
+    }
+  }
+
+  // Trail from where the projectile was fired (at most TRACER_LENGTH back) to its head
+  static drawTracer(tracer, start, head) {
+    const tail = this.scratch.copy(start)
+    const distance = head.distanceTo(start)
+    if (distance > TRACER_LENGTH) {
+      tail.sub(head).multiplyScalar(TRACER_LENGTH / distance).add(head)
+    }
+
+    const positions = tracer.geometry.attributes.position.array
+    positions[0] = tail.x
+    positions[1] = tail.y
+    positions[2] = tail.z
+    positions[3] = head.x
+    positions[4] = head.y
+    positions[5] = head.z
+    tracer.geometry.attributes.position.needsUpdate = true
+
+    // Transparent at the tail, bright at the head
+    const colors = tracer.geometry.attributes.color.array
+    colors.set([TRACER_COLOR.r, TRACER_COLOR.g, TRACER_COLOR.b, 0, TRACER_COLOR.r, TRACER_COLOR.g, TRACER_COLOR.b, 1])
+    tracer.geometry.attributes.color.needsUpdate = true
+  }
+
+  // Drops everything in flight, e.g. when the world is rebuilt
+  static clear() {
+    this.hitProjectiles.clear()
+    for (const mesh of Array.from(this.liveProjectiles)) {
+      this.releaseProjectile(mesh)
+    }
+    for (const effect of Array.from(this.active)) {
+      this.finishEffect(effect)
+    }
+  }
+
+  static dispose() {
+    if (!this.pools) return
+
+    this.clear()
+    for (const [name, pool] of Object.entries(this.pools)) {
+      for (const item of pool.items) {
+        // Projectiles share one geometry and material, sprites share three's built-in quad
+        if (name === 'tracers' || name === 'sparks') item.geometry.dispose()
+        if (name === 'flashes' || name === 'sparks') item.material.dispose()
+      }
+      pool.dispose()
+    }
+    for (const light of this.lights) {
+      Scene.scene.remove(light)
+    }
+
+    this.projectileGeometry.dispose()
+    this.projectileMaterial.dispose()
+    this.tracerMaterial.dispose()
+    this.glowTexture.dispose()
+    this.lights = []
+    this.pools = null
+  }
+}
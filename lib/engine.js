@@ -7,11 +7,22 @@ import { Entities } from './entities.js'
 import { Vehicles } from './vehicles.js'
 import { Ghosts } from './ghosts.js'
 import { State } from './state.js'
-import { ModelLoader } from '@game/shared/core/models.js'
+import { Interpolation } from './interpolation.js'
+import { Prediction } from './prediction.js'
+import { Diagnostics } from './diagnostics.js'
+import { Recorder } from './recorder.js'
+import { Replay } from './replay.js'
+import { Interest } from './interest.js'
+import { Animations } from './animations.js'
+import { Effects } from './effects.js'
+import { Models } from './models.js'
+import { Lod } from './lod.js'
+import { Assets } from './assets.js'
 
 export class Engine {
   static animationId = null
   static lastTime = performance.now()
+  static lastFrameTime = performance.now()
   static frameCount = 0
   static fps = 0
   static modelsLoaded = false
@@ -19,22 +30,14 @@ export class Engine {
   static async init(container) {
     // Initialize scene
     Scene.init(container)
+    Effects.init()
     
     // Setup input and controls
     Input.init(container)
     Control.init()
     
-    // Load models before connecting
-    try {
-      await ModelLoader.loadModels(false, true)
-      this.modelsLoaded = true
-      console.log('All models loaded successfully')
-    } catch (error) {
-      console.error('Failed to load models:', error)
-    }
-    
-    // Connect to server
-    Network.connect()
+    // Physics for local player prediction
+    await Prediction.init()
     
     // Start render loop
     this.animate()
@@ -43,27 +46,58 @@ export class Engine {
     window.addEventListener('resize', this.onWindowResize)
   }
 
+  // Called once the LoadingScreen is done, whether or not every file made it
+  static useModels() {
+    this.modelsLoaded = true
+  }
+
+  // Connecting is left to the page so a server can be picked first
+  static connect(url) {
+    Network.connect(url)
+  }
+
   static animate() {
     this.animationId = requestAnimationFrame(() => this.animate())
     
     // Calculate FPS
     const currentTime = performance.now()
+    const delta = Math.min((currentTime - this.lastFrameTime) / 1000, 0.1)
+    this.lastFrameTime = currentTime
     this.frameCount++
     if (currentTime - this.lastTime >= 1000) {
       State.fps = this.frameCount
+      Interpolation.updateStats(this.frameCount)
+      Diagnostics.tick()
+      Interest.updateStats()
+      Recorder.updateStats()
+      Models.updateStats()
+      Lod.updateStats()
       this.frameCount = 0
       this.lastTime = currentTime
     }
     
+    // Feed recorded messages when watching a replay
+    Replay.update(delta)
+    
+    // Smooth the predicted local player between input ticks
+    Prediction.update(delta)
+    
+    // Move remote entities along their snapshot buffers
+    Entities.interpolate()
+    Vehicles.interpolate()
+    Ghosts.interpolate()
+    Effects.update(delta)
+    
     // Update animations
+    Animations.update(delta)
     Vehicles.updateAnimations()
     Ghosts.updateCarriedPhysics()
-    
-    // Send input to server
-    Network.sendInput()
+    Ghosts.updateInstances()
     
     // Update camera
-    Control.updateCamera()
+    Control.updateCamera(delta)
+    Interest.update()
+    Lod.update()
     
     // Update debug visuals if enabled
     if (State.showDebugInfo) {
@@ -86,6 +120,8 @@ export class Engine {
     }
     
     Network.disconnect()
+    Network.stopInputLoop()
+    Network.stopPingLoop()
     Input.cleanup()
     window.removeEventListener('resize', this.onWindowResize)
     
@@ -93,6 +129,13 @@ export class Engine {
     Entities.cleanup()
     Vehicles.cleanup()
     Ghosts.cleanup()
+    Interpolation.clear()
+    Animations.clear()
+    Effects.dispose()
+    Lod.clear()
+    Models.clear()
+    Assets.clear()
+    Prediction.reset()
     Scene.cleanup()
   }
 }
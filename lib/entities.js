@@ -6,6 +6,12 @@ import { ModelPaths } from '@game/shared/core/models.js'
 import { State } from './state.js'
 import { Engine } from './engine.js'
 import { Control } from './control.js'
+import { Interpolation } from './interpolation.js'
+import { Prediction } from './prediction.js'
+import { Profile } from './profile.js'
+import { Animations } from './animations.js'
+import { Effects } from './effects.js'
+import { Lod } from './lod.js'
 
 export class Entities {
   static players = new Map()
@@ -14,9 +20,13 @@ export class Entities {
   static debugRayHelper = null
 
   static async addPlayer(playerData) {
+    // Register straight away so repeated state updates don't add the player twice
+    this.players.set(playerData.id, playerData)
+    this.pushSnapshot(playerData)
+    
     // Try to load player model first
     let group
-    const model = Engine.modelsLoaded ? await Models.loadModel(ModelPaths.PLAYER) : null
+    const model = Engine.modelsLoaded ? await Models.acquire(ModelPaths.PLAYER) : null
     
     if (model) {
       group = model
@@ -25,16 +35,7 @@ export class Entities {
       const size = box.getSize(new THREE.Vector3())
       const scale = PlayerConstants.HEIGHT / size.y
       group.scale.setScalar(scale)
-      
-      // Update material color for player identification
-      group.traverse((child) => {
-        if (child.isMesh) {
-          child.material = child.material.clone()
-          child.material.color = new THREE.Color(
-            playerData.id === State.playerId ? 0x0088ff : 0xff8800
-          )
-        }
-      })
+      group = await Lod.create(group, ModelPaths.PLAYER)
     } else {
       // Fallback to basic capsule mesh
       group = new THREE.Group()
@@ -49,9 +50,7 @@ export class Entities {
         4, 
         8
       )
-      const bodyMaterial = new THREE.MeshLambertMaterial({ 
-        color: playerData.id === State.playerId ? 0x0088ff : 0xff8800 
-      })
+      const bodyMaterial = new THREE.MeshLambertMaterial()
       const bodyMesh = new THREE.Mesh(bodyGeometry, bodyMaterial)
       bodyMesh.castShadow = true
       bodyMesh.receiveShadow = true
@@ -62,15 +61,8 @@ export class Entities {
     // Add name tag
     if (playerData.id !== State.playerId) {
       const canvas = document.createElement('canvas')
-      const context = canvas.getContext('2d')
       canvas.width = 256
       canvas.height = 64
-      context.fillStyle = 'rgba(0, 0, 0, 0.8)'
-      context.fillRect(0, 0, canvas.width, canvas.height)
-      context.fillStyle = 'white'
-      context.font = '24px Arial'
-      context.textAlign = 'center'
-      context.fillText(`Player ${playerData.id.substring(0, 6)}`, 128, 40)
       
       const texture = new THREE.CanvasTexture(canvas)
       const spriteMaterial = new THREE.SpriteMaterial({ map: texture })
@@ -78,90 +70,162 @@ export class Entities {
       sprite.position.y = PlayerConstants.HEIGHT / 2 + 0.5
       sprite.scale.set(2, 0.5, 1)
       group.add(sprite)
+      group.userData.nameTag = sprite
+    }
+    
+    // Player may have left (or been re-added) while the model was loading
+    const latest = this.players.get(playerData.id)
+    if (!latest || this.playerMeshes.has(playerData.id)) {
+      this.disposeMesh(group)
+      return
     }
     
+    // Name and color come from the latest data in case they changed meanwhile
+    this.applyProfile(group, latest)
+    
+    group.position.set(
+      latest.position.x,
+      latest.position.y,
+      latest.position.z
+    )
+    
     Scene.scene.add(group)
     this.playerMeshes.set(playerData.id, group)
-    this.players.set(playerData.id, playerData)
+    Lod.track(group, ModelPaths.PLAYER)
+    
+    const key = Interpolation.key('player', playerData.id)
+    if (Animations.attach(key, model || group)) {
+      Animations.updatePlayer(key, latest)
+    }
   }
 
   static updatePlayer(playerData) {
     this.players.set(playerData.id, playerData)
+    this.pushSnapshot(playerData)
     
-    // Update mesh position and rotation
+    // Players can rename or recolor themselves mid-game
     const mesh = this.playerMeshes.get(playerData.id)
     if (mesh) {
-      mesh.position.set(
-        playerData.position.x,
-        playerData.position.y,
-        playerData.position.z
-      )
+      this.applyProfile(mesh, playerData)
+      Animations.updatePlayer(Interpolation.key('player', playerData.id), playerData)
+    }
+  }
+
+  static getPlayerColor(playerData) {
+    if (Profile.isValidColor(playerData.color)) return playerData.color
+    
+    // Servers that don't know about profiles yet
+    if (playerData.id === State.playerId) return State.profile.color
+    return '#ff8800'
+  }
+
+  static applyProfile(group, playerData) {
+    const color = this.getPlayerColor(playerData)
+    if (group.userData.color !== color) {
+      group.userData.color = color
+      if (group.userData.structure) {
+        // Players of the same color share tinted materials
+        Models.tint(group, color)
+      } else {
+        group.traverse((child) => {
+          if (child.isMesh) {
+            child.material.color.set(color)
+          }
+        })
+      }
+    }
+    
+    const name = Profile.displayName(playerData)
+    const nameTag = group.userData.nameTag
+    if (nameTag && (nameTag.userData.name !== name || nameTag.userData.color !== color)) {
+      nameTag.userData.name = name
+      nameTag.userData.color = color
+      this.drawNameTag(nameTag.material.map, name, color)
+    }
+  }
+
+  static drawNameTag(texture, name, color) {
+    const canvas = texture.image
+    const context = canvas.getContext('2d')
+    context.clearRect(0, 0, canvas.width, canvas.height)
+    context.fillStyle = 'rgba(0, 0, 0, 0.8)'
+    context.fillRect(0, 0, canvas.width, canvas.height)
+    context.fillStyle = color
+    context.fillRect(0, canvas.height - 6, canvas.width, 6)
+    context.fillStyle = 'white'
+    context.font = '24px Arial'
+    context.textAlign = 'center'
+    context.fillText(name, 128, 40)
+    texture.needsUpdate = true
+  }
+
+  static pushSnapshot(playerData) {
+    // Players only turn around the vertical axis, based on look direction
+    let quaternion = null
+    if (playerData.lookDirection) {
+      const angle = Math.atan2(playerData.lookDirection.x, playerData.lookDirection.z)
+      quaternion = new THREE.Quaternion().setFromAxisAngle(THREE.Object3D.DEFAULT_UP, angle)
+    }
+    
+    Interpolation.push(Interpolation.key('player', playerData.id), playerData.position, quaternion)
+  }
+
+  static interpolate() {
+    for (const [id, mesh] of this.playerMeshes) {
+      Interpolation.sample(Interpolation.key('player', id), mesh.position, mesh.quaternion)
       
-      // Update rotation based on look direction
-      if (playerData.lookDirection) {
-        const angle = Math.atan2(playerData.lookDirection.x, playerData.lookDirection.z)
-        mesh.rotation.y = angle
+      // The local player is drawn where prediction puts it
+      if (id === State.playerId && Prediction.active) {
+        mesh.position.copy(Prediction.renderPosition)
       }
     }
   }
 
+  static getPlayerPosition(playerId) {
+    if (playerId === State.playerId && Prediction.active) {
+      return Prediction.renderPosition
+    }
+    
+    const player = this.players.get(playerId)
+    return player ? player.position : null
+  }
+
   static removePlayer(playerId) {
     const mesh = this.playerMeshes.get(playerId)
     if (mesh) {
       Scene.scene.remove(mesh)
-      // Clean up geometries and materials
-      mesh.traverse((child) => {
-        if (child.geometry) child.geometry.dispose()
-        if (child.material) {
-          if (Array.isArray(child.material)) {
-            child.material.forEach(material => material.dispose())
-          } else {
-            child.material.dispose()
-          }
-        }
-      })
+      Lod.untrack(mesh)
+      this.disposeMesh(mesh)
     }
     
     this.playerMeshes.delete(playerId)
     this.players.delete(playerId)
+    Interpolation.remove(Interpolation.key('player', playerId))
+    Animations.remove(Interpolation.key('player', playerId))
+  }
+
+  static disposeMesh(mesh) {
+    // Model clones go back to the cache, the capsule and name tag are ours
+    Models.dispose(mesh)
   }
 
   static addProjectile(projectileData) {
-    const geometry = new THREE.SphereGeometry(0.05, 8, 6)
-    const material = new THREE.MeshStandardMaterial({ 
-      color: 0xffff00,
-      emissive: 0xffff00,
-      emissiveIntensity: 0.5
-    })
-    const mesh = new THREE.Mesh(geometry, material)
-    
-    mesh.position.set(
-      projectileData.position.x,
-      projectileData.position.y,
-      projectileData.position.z
-    )
-    
-    Scene.scene.add(mesh)
-    this.projectileMeshes.set(projectileData.id, mesh)
+    if (this.projectileMeshes.has(projectileData.id)) return
+    this.projectileMeshes.set(projectileData.id, Effects.spawnProjectile(projectileData))
   }
 
   static updateProjectile(projectileData) {
     const mesh = this.projectileMeshes.get(projectileData.id)
     if (mesh) {
-      mesh.position.set(
-        projectileData.position.x,
-        projectileData.position.y,
-        projectileData.position.z
-      )
+      Effects.updateProjectile(mesh, projectileData)
     }
   }
 
   static removeProjectile(projectileId) {
+    Effects.forgetProjectile(projectileId)
     const mesh = this.projectileMeshes.get(projectileId)
     if (mesh) {
-      Scene.scene.remove(mesh)
-      mesh.geometry.dispose()
-      mesh.material.dispose()
+      Effects.releaseProjectile(mesh)
       this.projectileMeshes.delete(projectileId)
     }
   }
@@ -250,27 +314,18 @@ export class Entities {
 
   static cleanup() {
     // Clean up all player meshes
-    for (const mesh of this.playerMeshes.values()) {
+    for (const [id, mesh] of this.playerMeshes) {
       Scene.scene.remove(mesh)
-      mesh.traverse((child) => {
-        if (child.geometry) child.geometry.dispose()
-        if (child.material) {
-          if (Array.isArray(child.material)) {
-            child.material.forEach(material => material.dispose())
-          } else {
-            child.material.dispose()
-          }
-        }
-      })
+      Lod.untrack(mesh)
+      this.disposeMesh(mesh)
+      Animations.remove(Interpolation.key('player', id))
     }
     this.playerMeshes.clear()
     this.players.clear()
     
-    // Clean up projectiles
+    // Projectile meshes go back to the effects pool
     for (const mesh of this.projectileMeshes.values()) {
-      Scene.scene.remove(mesh)
-      mesh.geometry.dispose()
-      mesh.material.dispose()
+      Effects.releaseProjectile(mesh)
     }
     this.projectileMeshes.clear()
     
@@ -6,11 +6,22 @@ import { Models } from '../lib/models'
 import { State } from './state.js'
 import { Entities } from './entities.js'
 import { Engine } from './engine.js'
+import { Interpolation } from './interpolation.js'
+import { InstanceBatch } from './instancing.js'
+import { Lod } from './lod.js'
+
+const GHOST_MODELS = {
+  [GhostTypes.BOX]: ModelPaths.GHOST_BOX,
+  [GhostTypes.SPHERE]: ModelPaths.GHOST_SPHERE,
+  [GhostTypes.CYLINDER]: ModelPaths.GHOST_CYLINDER
+}
 
 export class Ghosts {
   static ghosts = new Map()
   static ghostMeshes = new Map()
   static ghostPhysics = new Map() // Client-side physics simulation
+  static batches = new Map() // ghost type -> Promise<InstanceBatch>
+  static instanceBatches = new Set() // Batches that finished loading
 
   static async updateGhost(ghostData) {
     const existingGhost = this.ghosts.get(ghostData.id)
@@ -18,6 +29,7 @@ export class Ghosts {
     if (!existingGhost) {
       // New ghost
       this.ghosts.set(ghostData.id, ghostData)
+      this.pushSnapshot(ghostData)
       await this.createGhostMesh(ghostData)
     } else {
       // Update existing ghost
@@ -26,134 +38,164 @@ export class Ghosts {
       // Update mesh
       const mesh = this.ghostMeshes.get(ghostData.id)
       if (mesh) {
-        // Update position only if not being carried by the local player
-        if (ghostData.carrier !== State.playerId) {
-          mesh.position.set(
-            ghostData.position.x,
-            ghostData.position.y,
-            ghostData.position.z
-          )
-          
-          if (ghostData.rotation) {
-            mesh.quaternion.set(
-              ghostData.rotation.x,
-              ghostData.rotation.y,
-              ghostData.rotation.z,
-              ghostData.rotation.w
-            )
-          }
-        }
+        this.pushSnapshot(ghostData)
         
-        // Update opacity based on carried state
-        mesh.traverse((child) => {
-          if (child.isMesh && child.material) {
-            child.material.opacity = ghostData.carrier ? 0.8 : 1.0
-          }
-        })
+        // Carried ghosts are dimmed, instances share one material so there's no opacity
+        const batch = mesh.userData.batch
+        batch.setColor(mesh, this.getGhostColor(ghostData, batch))
       }
     }
   }
 
   static async createGhostMesh(ghostData) {
-    let mesh
-    let modelPath
+    const pending = this.getBatch(ghostData.type)
+    const batch = await pending
     
-    // Determine model path based on ghost type
-    switch (ghostData.type) {
-      case GhostTypes.BOX:
-        modelPath = ModelPaths.GHOST_BOX
-        break
-      case GhostTypes.SPHERE:
-        modelPath = ModelPaths.GHOST_SPHERE
-        break
-      case GhostTypes.CYLINDER:
-        modelPath = ModelPaths.GHOST_CYLINDER
-        break
-    }
+    // Ghost may have been removed (or everything cleaned up) while the model was loading
+    const latest = this.ghosts.get(ghostData.id)
+    if (!latest || this.ghostMeshes.has(ghostData.id) || this.batches.get(ghostData.type) !== pending) return
     
+    // Stands in for the ghost's transform, the batch draws it
+    const mesh = new THREE.Object3D()
+    mesh.userData.batch = batch
+    mesh.scale.copy(this.getGhostScale(latest, batch))
+    mesh.position.set(
+      latest.position.x,
+      latest.position.y,
+      latest.position.z
+    )
+    
+    batch.add(mesh, this.getGhostColor(latest, batch))
+    this.ghostMeshes.set(ghostData.id, mesh)
+    
+    // Initialize client physics for this ghost
+    this.ghostPhysics.set(ghostData.id, {
+      velocity: { x: 0, y: 0, z: 0 },
+      angularVelocity: { x: 0, y: 0, z: 0 }
+    })
+  }
+
+  // One instanced batch per ghost type, kept until cleanup since there are only three
+  static getBatch(type) {
+    let pending = this.batches.get(type)
+    if (!pending) {
+      pending = this.createBatch(type)
+      this.batches.set(type, pending)
+    }
+    return pending
+  }
+
+  static async createBatch(type) {
     // Try to load model
-    const model = Engine.modelsLoaded ? await Models.loadModel(modelPath) : null
+    const model = Engine.modelsLoaded ? await Models.acquire(GHOST_MODELS[type]) : null
     
-    if (model) {
-      mesh = model
-      
-      // Scale to match ghost size
-      const box = new THREE.Box3().setFromObject(model)
-      const size = box.getSize(new THREE.Vector3())
-      
-      let scale
-      switch (ghostData.type) {
-        case GhostTypes.BOX:
-          scale = Math.min(
-            ghostData.size.width / size.x,
-            ghostData.size.height / size.y,
-            ghostData.size.depth / size.z
-          )
-          break
+    let source = model
+    if (!source) {
+      // Fallback to unit-sized procedural geometry, scaled per ghost
+      let geometry
+      switch (type) {
         case GhostTypes.SPHERE:
-          scale = (ghostData.size.radius * 2) / Math.max(size.x, size.y, size.z)
+          geometry = new THREE.SphereGeometry(0.5, 16, 12)
           break
         case GhostTypes.CYLINDER:
-          scale = Math.min(
-            (ghostData.size.radius * 2) / Math.max(size.x, size.z),
-            ghostData.size.height / size.y
-          )
+          geometry = new THREE.CylinderGeometry(0.5, 0.5, 1, 16)
           break
+        default:
+          geometry = new THREE.BoxGeometry(1, 1, 1)
       }
       
-      mesh.scale.setScalar(scale)
-      
-      // Update material opacity for carried state
-      mesh.traverse((child) => {
-        if (child.isMesh) {
-          child.material = child.material.clone()
-          child.material.transparent = true
-          child.material.opacity = ghostData.carrier ? 0.8 : 1.0
-        }
-      })
-    } else {
-      // Fallback to procedural geometry
-      let geometry
-      const material = new THREE.MeshLambertMaterial({ 
-        color: ghostData.color,
-        transparent: true,
-        opacity: ghostData.carrier ? 0.8 : 1.0
-      })
-      
+      // White so the instance color is the ghost color
+      source = new THREE.Mesh(geometry, new THREE.MeshLambertMaterial())
+    }
+    
+    const batch = new InstanceBatch(source)
+    batch.procedural = !model
+    batch.modelPath = GHOST_MODELS[type]
+    batch.size = new THREE.Box3().setFromObject(source).getSize(new THREE.Vector3())
+    Scene.scene.add(batch.group)
+    this.instanceBatches.add(batch)
+    return batch
+  }
+
+  static getGhostScale(ghostData, batch) {
+    const { size } = ghostData
+    
+    if (batch.procedural) {
       switch (ghostData.type) {
-        case GhostTypes.BOX:
-          geometry = new THREE.BoxGeometry(
-            ghostData.size.width,
-            ghostData.size.height,
-            ghostData.size.depth
-          )
-          break
         case GhostTypes.SPHERE:
-          geometry = new THREE.SphereGeometry(ghostData.size.radius, 16, 12)
-          break
+          return new THREE.Vector3().setScalar(size.radius * 2)
         case GhostTypes.CYLINDER:
-          geometry = new THREE.CylinderGeometry(
-            ghostData.size.radius,
-            ghostData.size.radius,
-            ghostData.size.height,
-            16
-          )
-          break
+          return new THREE.Vector3(size.radius * 2, size.height, size.radius * 2)
+        default:
+          return new THREE.Vector3(size.width, size.height, size.depth)
       }
-      
-      mesh = new THREE.Mesh(geometry, material)
-      mesh.castShadow = true
-      mesh.receiveShadow = true
     }
     
-    Scene.scene.add(mesh)
-    this.ghostMeshes.set(ghostData.id, mesh)
+    // Models keep their proportions and are scaled to fit the ghost size
+    let scale
+    switch (ghostData.type) {
+      case GhostTypes.BOX:
+        scale = Math.min(
+          size.width / batch.size.x,
+          size.height / batch.size.y,
+          size.depth / batch.size.z
+        )
+        break
+      case GhostTypes.SPHERE:
+        scale = (size.radius * 2) / Math.max(batch.size.x, batch.size.y, batch.size.z)
+        break
+      case GhostTypes.CYLINDER:
+        scale = Math.min(
+          (size.radius * 2) / Math.max(batch.size.x, batch.size.z),
+          size.height / batch.size.y
+        )
+        break
+    }
+    return new THREE.Vector3().setScalar(scale)
+  }
+
+  static getGhostColor(ghostData, batch) {
+    // Models bring their own colors
+    const color = new THREE.Color(batch.procedural ? ghostData.color : 0xffffff)
+    return ghostData.carrier ? color.multiplyScalar(0.8) : color
+  }
+
+  static pushSnapshot(ghostData) {
+    let quaternion = null
+    if (ghostData.rotation) {
+      quaternion = new THREE.Quaternion(
+        ghostData.rotation.x,
+        ghostData.rotation.y,
+        ghostData.rotation.z,
+        ghostData.rotation.w
+      )
+    }
     
-    // Initialize client physics for this ghost
-    this.ghostPhysics.set(ghostData.id, {
-      velocity: { x: 0, y: 0, z: 0 },
-      angularVelocity: { x: 0, y: 0, z: 0 }
-    })
+    Interpolation.push(Interpolation.key('ghost', ghostData.id), ghostData.position, quaternion)
+  }
+
+  static interpolate() {
+    for (const [id, mesh] of this.ghostMeshes) {
+      // Ghosts carried by the local player are driven by updateCarriedPhysics
+      const ghostData = this.ghosts.get(id)
+      if (ghostData && ghostData.carrier === State.playerId) continue
+      
+      Interpolation.sample(Interpolation.key('ghost', id), mesh.position, mesh.quaternion)
+    }
+  }
+
+  // Copies ghost transforms into the instance buffers, after carried physics has run
+  static updateInstances() {
+    // Ghosts past the cull distance are skipped like any other model
+    for (const mesh of this.ghostMeshes.values()) {
+      mesh.visible = Lod.inRange(mesh.position, mesh.userData.batch.modelPath)
+    }
+    
+    let instanced = 0
+    for (const batch of this.instanceBatches) {
+      instanced += batch.update()
+    }
+    State.models.instanced = instanced
   }
 
   static updateCarriedPhysics() {
@@ -170,10 +212,11 @@ export class Ghosts {
     if (!mesh || !physics) return
     
     // Calculate target position (in front of player)
+    const position = Entities.getPlayerPosition(State.playerId)
     const targetPos = new THREE.Vector3(
-      player.position.x + player.lookDirection.x * GhostConstants.CARRY_DISTANCE,
-      player.position.y + 0.5 + player.lookDirection.y * GhostConstants.CARRY_DISTANCE,
-      player.position.z + player.lookDirection.z * GhostConstants.CARRY_DISTANCE
+      position.x + player.lookDirection.x * GhostConstants.CARRY_DISTANCE,
+      position.y + 0.5 + player.lookDirection.y * GhostConstants.CARRY_DISTANCE,
+      position.z + player.lookDirection.z * GhostConstants.CARRY_DISTANCE
     )
     
     // Spring physics for smooth movement
@@ -204,21 +247,32 @@ export class Ghosts {
     mesh.rotation.z += physics.angularVelocity.z
   }
 
+  static removeGhost(ghostId) {
+    const mesh = this.ghostMeshes.get(ghostId)
+    if (mesh) {
+      mesh.userData.batch.remove(mesh)
+    }
+    
+    this.ghostMeshes.delete(ghostId)
+    this.ghosts.delete(ghostId)
+    this.ghostPhysics.delete(ghostId)
+    Interpolation.remove(Interpolation.key('ghost', ghostId))
+  }
+
+  static disposeBatch(batch) {
+    this.instanceBatches.delete(batch)
+    batch.dispose()
+    
+    // Gives the model back to the cache, or frees the procedural fallback
+    Models.dispose(batch.source)
+  }
+
   static cleanup() {
-    // Clean up ghost meshes
-    for (const mesh of this.ghostMeshes.values()) {
-      Scene.scene.remove(mesh)
-      mesh.traverse((child) => {
-        if (child.geometry) child.geometry.dispose()
-        if (child.material) {
-          if (Array.isArray(child.material)) {
-            child.material.forEach(material => material.dispose())
-          } else {
-            child.material.dispose()
-          }
-        }
-      })
+    // Ghost meshes are only transforms, the batches hold the GPU resources
+    for (const pending of this.batches.values()) {
+      pending.then(batch => this.disposeBatch(batch))
     }
+    this.batches.clear()
     this.ghostMeshes.clear()
     this.ghosts.clear()
     this.ghostPhysics.clear()
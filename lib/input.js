@@ -1,5 +1,8 @@
 import { PlayerConstants } from '@game/shared'
 import { Control } from './control.js'
+import { Chat } from './chat.js'
+import { Scoreboard } from './scoreboard.js'
+import { State } from './state.js'
 
 export class Input {
   static keys = {}
@@ -22,6 +25,22 @@ export class Input {
   }
 
   static onKeyDown = (e) => {
+    // Typing into a form field or chat shouldn't drive the player
+    if (this.isTyping(e) || State.chat.open) return
+    
+    if (e.code === 'Enter') {
+      e.preventDefault()
+      Chat.open()
+      return
+    }
+    
+    // Scoreboard shows while Tab is held, and Tab shouldn't move focus around the page
+    if (e.code === 'Tab') {
+      e.preventDefault()
+      Scoreboard.show()
+      return
+    }
+    
     // Prevent key repeat
     if (this.keys[e.code]) return
     
@@ -38,23 +57,46 @@ export class Input {
       case 'KeyO':
         Control.toggleThirdPerson()
         break
+      case 'KeyC':
+        Control.toggleFreeCamera()
+        break
+      case 'KeyQ':
+        Control.cycleSpectateTarget(-1)
+        break
+      case 'KeyE':
+        Control.cycleSpectateTarget(1)
+        break
       case 'Backquote':
         Control.toggleDebugInfo()
         break
     }
   }
 
-  static onKeyUp = (e) => {
-    this.keys[e.code] = false
+  static isTyping(e) {
+    const tag = e.target && e.target.tagName
+    return tag === 'INPUT' || tag === 'TEXTAREA' || tag === 'SELECT'
   }
 
-  static onBlur = () => {
-    // Clear all keys
+  static releaseKeys() {
     Object.keys(this.keys).forEach(key => {
       this.keys[key] = false
     })
   }
 
+  static onKeyUp = (e) => {
+    this.keys[e.code] = false
+    
+    if (e.code === 'Tab') {
+      Scoreboard.hide()
+    }
+  }
+
+  static onBlur = () => {
+    // Clear all keys, the Tab keyup won't arrive while the window is in the background
+    this.releaseKeys()
+    Scoreboard.hide()
+  }
+
   static onClick = () => {
     if (!this.isPointerLocked) {
       this.container.requestPointerLock()
@@ -67,9 +109,7 @@ export class Input {
     this.isPointerLocked = document.pointerLockElement === this.container
     // Reset keys when pointer lock is lost
     if (!this.isPointerLocked) {
-      Object.keys(this.keys).forEach(key => {
-        this.keys[key] = false
-      })
+      this.releaseKeys()
     }
   }
 
@@ -0,0 +1,117 @@
+import * as THREE from 'three'
+
+const WHITE = new THREE.Color(0xffffff)
+const matrix = new THREE.Matrix4()
+
+// Draws many copies of one source object with a single InstancedMesh per
+// mesh in it. Owners are plain Object3Ds kept out of the scene, their
+// transforms are copied into the instance buffers by update()
+export class InstanceBatch {
+  constructor(source, capacity = 16) {
+    this.source = source
+    this.capacity = capacity
+    this.owners = []
+    this.colors = new Map()
+    this.group = new THREE.Group()
+    this.meshes = []
+
+    // Each part keeps its transform relative to the source root
+    source.updateMatrixWorld(true)
+    const inverse = source.matrixWorld.clone().invert()
+    this.parts = []
+    source.traverse((child) => {
+      if (child.isMesh) {
+        this.parts.push({
+          geometry: child.geometry,
+          material: child.material,
+          matrix: new THREE.Matrix4().multiplyMatrices(inverse, child.matrixWorld)
+        })
+      }
+    })
+
+    this.allocate()
+  }
+
+  allocate() {
+    for (const mesh of this.meshes) {
+      this.group.remove(mesh)
+      mesh.dispose()
+    }
+
+    this.meshes = this.parts.map((part) => {
+      const mesh = new THREE.InstancedMesh(part.geometry, part.material, this.capacity)
+      mesh.count = 0
+      mesh.castShadow = true
+      mesh.receiveShadow = true
+      // Instances are spread over the whole level, the source bounds say nothing
+      mesh.frustumCulled = false
+      // Creates the color buffer up front so the shader is built with it
+      mesh.setColorAt(0, WHITE)
+      this.group.add(mesh)
+      return mesh
+    })
+  }
+
+  add(owner, color = WHITE) {
+    if (this.owners.length === this.capacity) {
+      this.capacity *= 2
+      this.allocate()
+    }
+
+    this.owners.push(owner)
+    this.colors.set(owner, color)
+  }
+
+  setColor(owner, color) {
+    if (this.colors.has(owner)) {
+      this.colors.set(owner, color)
+    }
+  }
+
+  remove(owner) {
+    const index = this.owners.indexOf(owner)
+    if (index === -1) return
+
+    // Swap with the last instance to keep the buffers packed
+    this.owners[index] = this.owners[this.owners.length - 1]
+    this.owners.pop()
+    this.colors.delete(owner)
+  }
+
+  // Hidden owners are left out, so count is only what gets drawn
+  update() {
+    let count = 0
+    for (const owner of this.owners) {
+      if (!owner.visible) continue
+      owner.updateMatrix()
+
+      for (let p = 0; p < this.parts.length; p++) {
+        const mesh = this.meshes[p]
+        mesh.setMatrixAt(count, matrix.multiplyMatrices(owner.matrix, this.parts[p].matrix))
+        mesh.setColorAt(count, this.colors.get(owner))
+      }
+      count++
+    }
+
+    for (const mesh of this.meshes) {
+      mesh.count = count
+      mesh.instanceMatrix.needsUpdate = true
+      mesh.instanceColor.needsUpdate = true
+    }
+    return count
+  }
+
+  // Frees the instance buffers only, the source's geometry and materials
+  // belong to whoever created it
+  dispose() {
+    if (this.group.parent) {
+      this.group.parent.remove(this.group)
+    }
+    for (const mesh of this.meshes) {
+      mesh.dispose()
+    }
+    this.meshes = []
+    this.owners = []
+    this.colors.clear()
+  }
+}
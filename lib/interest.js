@@ -0,0 +1,153 @@
+import * as THREE from 'three'
+import { MessageTypes } from '@game/shared'
+import { Scene } from './scene.js'
+import { Network } from './network.js'
+import { Control } from './control.js'
+import { Entities } from './entities.js'
+import { Vehicles } from './vehicles.js'
+import { Ghosts } from './ghosts.js'
+import { State } from './state.js'
+
+// Area of interest: only entities within State.interestRadius of the camera
+// (or the followed entity when spectating) are kept around. Servers that
+// support it are told the radius so they can stop sending the rest.
+export class Interest {
+  static center = new THREE.Vector3()
+  static hysteresis = 1.2 // Tracked entities leave at radius * hysteresis so they don't flicker at the edge
+  static sendInterval = 250
+  static lastSent = null // { time, center, radius } of the last INTEREST message
+  static culled = 0 // Entities left out of the last snapshot
+
+  static update() {
+    const target = State.spectating && !State.freeCamera ? Control.getSpectateMesh(State.spectateTarget) : null
+    this.center.copy(target ? target.position : Scene.camera.position)
+
+    if (State.connected && !State.replay.loaded && Network.supports('interest')) {
+      this.sendInterest()
+    }
+  }
+
+  static sendInterest() {
+    const now = performance.now()
+    const last = this.lastSent
+    if (last) {
+      if (now - last.time < this.sendInterval) return
+
+      // Only worth telling the server once we've moved a meaningful distance
+      const moved = last.center.distanceTo(this.center)
+      if (moved < State.interestRadius * 0.1 && last.radius === State.interestRadius) return
+    }
+
+    this.lastSent = { time: now, center: this.center.clone(), radius: State.interestRadius }
+    Network.send({
+      type: MessageTypes.INTEREST,
+      center: { x: this.center.x, y: this.center.y, z: this.center.z },
+      radius: State.interestRadius
+    })
+  }
+
+  // Whether an entity at `position` should be kept. `tracked` says whether
+  // we already have it, which widens the radius a little.
+  static accepts(position, tracked) {
+    if (!position) return true
+
+    const limit = tracked ? State.interestRadius * this.hysteresis : State.interestRadius
+    const dx = position.x - this.center.x
+    const dy = position.y - this.center.y
+    const dz = position.z - this.center.z
+    return dx * dx + dy * dy + dz * dz <= limit * limit
+  }
+
+  // Drops everything out of range from a snapshot's state
+  static filter(state) {
+    const filtered = {
+      ...state,
+      players: state.players.filter(playerData => this.acceptsPlayer(playerData)),
+      projectiles: state.projectiles.filter(projectileData => this.acceptsProjectile(projectileData)),
+      vehicles: state.vehicles.filter(vehicleData => this.acceptsVehicle(vehicleData)),
+      ghosts: state.ghosts.filter(ghostData => this.acceptsGhost(ghostData))
+    }
+
+    const count = (s) => s.players.length + s.projectiles.length + s.vehicles.length + s.ghosts.length
+    this.culled = count(state) - count(filtered)
+    return filtered
+  }
+
+  static acceptsPlayer(playerData) {
+    // Our own player is always relevant
+    if (playerData.id === State.playerId) return true
+    return this.accepts(playerData.position, Entities.players.has(playerData.id))
+  }
+
+  static acceptsProjectile(projectileData) {
+    return this.accepts(projectileData.position, Entities.projectileMeshes.has(projectileData.id))
+  }
+
+  static acceptsVehicle(vehicleData) {
+    if (vehicleData.id === State.currentVehicle) return true
+    return this.accepts(vehicleData.position, Vehicles.vehicles.has(vehicleData.id))
+  }
+
+  static acceptsGhost(ghostData) {
+    if (ghostData.carrier === State.playerId) return true
+    return this.accepts(ghostData.position, Ghosts.ghosts.has(ghostData.id))
+  }
+
+  // ENTITY_ENTER from servers that filter for us
+  static enter(message) {
+    switch (message.kind) {
+      case 'player':
+        if (!Entities.players.has(message.entity.id)) {
+          Entities.addPlayer(message.entity)
+        } else {
+          Entities.updatePlayer(message.entity)
+        }
+        break
+      case 'projectile':
+        if (!Entities.projectileMeshes.has(message.entity.id)) {
+          Entities.addProjectile(message.entity)
+        }
+        break
+      case 'vehicle':
+        Vehicles.updateVehicle(message.entity)
+        break
+      case 'ghost':
+        Ghosts.updateGhost(message.entity)
+        break
+      default:
+        throw new Error(`Unknown entity kind: ${message.kind}`)
+    }
+  }
+
+  // ENTITY_LEAVE, the entity is still in the world, just not near us
+  static leave(message) {
+    switch (message.kind) {
+      case 'player':
+        if (message.id !== State.playerId) Entities.removePlayer(message.id)
+        break
+      case 'projectile':
+        Entities.removeProjectile(message.id)
+        break
+      case 'vehicle':
+        if (message.id !== State.currentVehicle) Vehicles.removeVehicle(message.id)
+        break
+      case 'ghost':
+        Ghosts.removeGhost(message.id)
+        break
+      default:
+        throw new Error(`Unknown entity kind: ${message.kind}`)
+    }
+  }
+
+  // Called once a second from the engine loop to feed the debug panel
+  static updateStats() {
+    State.interest.tracked = Entities.players.size + Entities.projectileMeshes.size +
+      Vehicles.vehicles.size + Ghosts.ghosts.size
+    State.interest.culled = this.culled
+  }
+
+  static reset() {
+    this.lastSent = null
+    this.culled = 0
+  }
+}
@@ -0,0 +1,145 @@
+import * as THREE from 'three'
+import { State } from './state.js'
+
+// How fast the clock offset creeps back up after the fastest packet set it,
+// so a route that got slower doesn't leave snapshots stamped in the future
+const OFFSET_RECOVERY = 0.002
+
+// Timestamped snapshot buffers for remote entities. Meshes are rendered
+// State.interpolationDelay ms in the past so there are usually two snapshots
+// to blend between, even when packets arrive unevenly.
+//
+// Snapshots are stamped with the server's time for them, moved onto our
+// clock by an estimated offset. Stamping on arrival would write every bit of
+// network jitter into the timeline
+export class Interpolation {
+  static buffers = new Map()
+  static maxSnapshots = 32
+  static maxExtrapolation = 250 // ms we keep moving past the newest snapshot
+  static extrapolating = 0
+  static clockOffset = null // local performance.now() minus server time, in ms
+  static snapshotTime = null // Local time of the snapshot being applied, see beginSnapshot()
+
+  static key(kind, id) {
+    return `${kind}:${id}`
+  }
+
+  // Everything pushed until endSnapshot() gets the time the server produced
+  // this state at. Servers that don't send serverTime fall back to arrival
+  static beginSnapshot(serverTime) {
+    // Replays are paced by recorded arrival times, at whatever speed
+    if (typeof serverTime !== 'number' || State.replay.loaded) {
+      this.snapshotTime = null
+      return
+    }
+
+    // Jitter only ever adds delay, so the smallest offset seen is the closest
+    // to the real one
+    const offset = performance.now() - serverTime
+    if (this.clockOffset === null || offset < this.clockOffset) {
+      this.clockOffset = offset
+    } else {
+      this.clockOffset += (offset - this.clockOffset) * OFFSET_RECOVERY
+    }
+    this.snapshotTime = serverTime + this.clockOffset
+  }
+
+  static endSnapshot() {
+    this.snapshotTime = null
+  }
+
+  // A different server (or a restarted one) has a different clock
+  static resetClock() {
+    this.clockOffset = null
+    this.snapshotTime = null
+  }
+
+  static push(key, position, quaternion, time = this.snapshotTime ?? performance.now()) {
+    let buffer = this.buffers.get(key)
+    if (!buffer) {
+      buffer = []
+      this.buffers.set(key, buffer)
+    }
+
+    // Snapshots must stay ordered; drop anything older than what we have and
+    // let a newer state for the same instant (e.g. replay seeking) win
+    const last = buffer[buffer.length - 1]
+    if (last && time < last.time) return
+    if (last && time === last.time) buffer.pop()
+
+    buffer.push({
+      time,
+      position: new THREE.Vector3(position.x, position.y, position.z),
+      quaternion: quaternion ? quaternion.clone() : null
+    })
+
+    if (buffer.length > this.maxSnapshots) {
+      buffer.shift()
+    }
+  }
+
+  // Writes the interpolated transform into the given position/quaternion.
+  // Returns false when nothing is buffered for this key.
+  static sample(key, position, quaternion, now = performance.now()) {
+    const buffer = this.buffers.get(key)
+    if (!buffer || buffer.length === 0) return false
+
+    const renderTime = now - State.interpolationDelay
+
+    // Discard snapshots we have fully moved past, keeping one behind renderTime
+    while (buffer.length > 2 && buffer[1].time <= renderTime) {
+      buffer.shift()
+    }
+
+    const from = buffer[0]
+    const to = buffer[1]
+
+    if (!to || renderTime <= from.time) {
+      // Not enough history to blend yet, hold the oldest snapshot
+      position.copy(from.position)
+      if (quaternion && from.quaternion) quaternion.copy(from.quaternion)
+      return true
+    }
+
+    if (renderTime <= to.time) {
+      const t = (renderTime - from.time) / (to.time - from.time)
+      position.lerpVectors(from.position, to.position, t)
+      if (quaternion && from.quaternion && to.quaternion) {
+        quaternion.slerpQuaternions(from.quaternion, to.quaternion, t)
+      }
+      return true
+    }
+
+    // Snapshot is late: keep moving along the last known velocity for a while
+    this.extrapolating++
+    const overshoot = Math.min(renderTime - to.time, this.maxExtrapolation)
+    const t = 1 + overshoot / (to.time - from.time)
+    position.lerpVectors(from.position, to.position, t)
+    if (quaternion && to.quaternion) {
+      quaternion.copy(to.quaternion)
+    }
+    return true
+  }
+
+  static remove(key) {
+    this.buffers.delete(key)
+  }
+
+  static clear() {
+    this.buffers.clear()
+    this.resetClock()
+  }
+
+  // Called once a second from the engine loop to feed the debug panel
+  static updateStats(frames) {
+    let snapshots = 0
+    for (const buffer of this.buffers.values()) {
+      snapshots += buffer.length
+    }
+
+    State.interpolation.entities = this.buffers.size
+    State.interpolation.averageBuffered = this.buffers.size > 0 ? snapshots / this.buffers.size : 0
+    State.interpolation.extrapolating = frames > 0 ? this.extrapolating / frames : 0
+    this.extrapolating = 0
+  }
+}
@@ -0,0 +1,184 @@
+import * as THREE from 'three'
+import { SimplifyModifier } from 'three/examples/jsm/modifiers/SimplifyModifier.js'
+import { ModelPaths } from '@game/shared/core/models.js'
+import { Models } from './models.js'
+import { Scene } from './scene.js'
+import { State } from './state.js'
+
+// Levels switch by camera distance. A level with a `ratio` is the model with
+// its geometry simplified to that fraction of the vertices, one with a `path`
+// loads a hand-made low detail GLB instead. Past `cullDistance` the entity is
+// hidden, null means the far end of the scene fog where it can't be seen anyway
+const DEFAULT_SETTINGS = {
+  levels: [
+    { distance: 40, ratio: 0.5 },
+    { distance: 70, ratio: 0.2 }
+  ],
+  cullDistance: null
+}
+
+// Lower levels are plain clones, so animated parts (rotors, gear, propeller)
+// and Animations only move on the full detail level. Past the first switch
+// distance they are too small for anyone to tell
+const MODEL_SETTINGS = {
+  // Skinned, SimplifyModifier drops the skinning attributes so players are only culled
+  [ModelPaths.PLAYER]: { levels: [] },
+  // Vehicles are big enough to be worth the detail a bit further out
+  [ModelPaths.HELICOPTER]: { levels: [{ distance: 60, ratio: 0.5 }, { distance: 90, ratio: 0.2 }] },
+  [ModelPaths.PLANE]: { levels: [{ distance: 60, ratio: 0.5 }, { distance: 90, ratio: 0.2 }] }
+}
+
+// SimplifyModifier does a linear scan per collapsed edge, so cost grows with
+// the square of the vertex count. Past this give the model a `path` level instead
+const MAX_SIMPLIFY_VERTICES = 20000
+
+export class Lod {
+  static overrides = new Map()
+  static geometries = new Map() // `${geometry.uuid}:${ratio}` -> simplified copy
+  static tracked = new Map() // root object -> model path
+  static prepared = [] // clones kept so the cache (and simplified copies) stay valid
+  static modifier = new SimplifyModifier()
+
+  static configure(modelPath, settings) {
+    this.overrides.set(modelPath, { ...this.overrides.get(modelPath), ...settings })
+  }
+
+  static getSettings(modelPath) {
+    return { ...DEFAULT_SETTINGS, ...MODEL_SETTINGS[modelPath], ...this.overrides.get(modelPath) }
+  }
+
+  static getCullDistance(modelPath) {
+    const { cullDistance } = this.getSettings(modelPath)
+    if (cullDistance !== null) return cullDistance
+
+    const fog = Scene.scene && Scene.scene.fog
+    return fog && fog.far !== undefined ? fog.far : Infinity
+  }
+
+  // Wraps an acquired model in a THREE.LOD with its lower levels. Models
+  // without levels (or containing skinned meshes) come back unchanged
+  static async create(model, modelPath) {
+    const { levels } = this.getSettings(modelPath)
+    if (levels.length === 0 || this.isSkinned(model)) return model
+
+    const lod = new THREE.LOD()
+    // Lets Models.getNamedMesh find parts of the full detail level
+    lod.userData.structure = model.userData.structure
+    lod.addLevel(model, 0)
+
+    for (const level of levels) {
+      const object = await Models.acquire(level.path || modelPath)
+      if (!object) continue
+
+      if (level.ratio) {
+        object.traverse((child) => {
+          if (child.isMesh) {
+            child.geometry = this.simplify(child.geometry, level.ratio)
+          }
+        })
+      }
+
+      object.position.copy(model.position)
+      object.quaternion.copy(model.quaternion)
+      object.scale.copy(model.scale)
+      lod.addLevel(object, level.distance)
+    }
+
+    return lod
+  }
+
+  // Simplifies every level up front, run by the LoadingScreen so the first
+  // vehicle of a type doesn't stall the game. The clone is held for the
+  // session since an evicted model would come back with new geometry
+  static async prepare() {
+    for (const modelPath of Object.keys(MODEL_SETTINGS)) {
+      const { levels } = this.getSettings(modelPath)
+      const ratios = levels.filter(level => level.ratio && !level.path).map(level => level.ratio)
+      if (ratios.length === 0) continue
+
+      const model = await Models.acquire(modelPath)
+      if (!model) continue
+      if (this.isSkinned(model)) {
+        Models.release(model)
+        continue
+      }
+
+      this.prepared.push(model)
+      for (const ratio of ratios) {
+        model.traverse((child) => {
+          if (child.isMesh) this.simplify(child.geometry, ratio)
+        })
+        // Lets the loading screen repaint between models
+        await new Promise(resolve => setTimeout(resolve, 0))
+      }
+    }
+  }
+
+  static isSkinned(model) {
+    let skinned = false
+    model.traverse((child) => {
+      if (child.isSkinnedMesh) skinned = true
+    })
+    return skinned
+  }
+
+  // Simplified copies are shared like the geometry they come from
+  static simplify(geometry, ratio) {
+    const key = `${geometry.uuid}:${ratio}`
+    let simplified = this.geometries.get(key)
+    if (!simplified) {
+      const count = geometry.attributes.position.count
+      if (count > MAX_SIMPLIFY_VERTICES) {
+        console.warn(`Not simplifying geometry with ${count} vertices`)
+        simplified = geometry
+      } else {
+        simplified = this.modifier.modify(geometry, Math.floor(count * (1 - ratio)))
+      }
+      this.geometries.set(key, simplified)
+    }
+    return simplified
+  }
+
+  static track(object, modelPath) {
+    this.tracked.set(object, modelPath)
+  }
+
+  static untrack(object) {
+    this.tracked.delete(object)
+  }
+
+  static inRange(position, modelPath) {
+    return Scene.camera.position.distanceTo(position) <= this.getCullDistance(modelPath)
+  }
+
+  static update() {
+    for (const [object, modelPath] of this.tracked) {
+      object.visible = this.inRange(object.position, modelPath)
+    }
+  }
+
+  static updateStats() {
+    let culled = 0
+    for (const object of this.tracked.keys()) {
+      if (!object.visible) culled++
+    }
+
+    State.lod.tracked = this.tracked.size
+    State.lod.culled = culled
+    State.lod.simplified = this.geometries.size
+  }
+
+  static clear() {
+    for (const [key, geometry] of this.geometries) {
+      // Oversized geometry is stored as is and still belongs to its model
+      if (!key.startsWith(geometry.uuid)) geometry.dispose()
+    }
+    this.geometries.clear()
+    this.tracked.clear()
+
+    for (const model of this.prepared) {
+      Models.release(model)
+    }
+    this.prepared = []
+  }
+}
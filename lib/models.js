@@ -1,14 +1,74 @@
 import * as THREE from 'three'
 import { GLTFLoader } from 'three/examples/jsm/loaders/GLTFLoader.js'
+import * as SkeletonUtils from 'three/examples/jsm/utils/SkeletonUtils.js'
 import { ModelPaths, ModelLoader } from '@game/shared/core/models.js'
+import { Scene } from './scene.js'
+import { State } from './state.js'
+import { Assets } from './assets.js'
 
-// Static model loader class that extends shared functionality
+// How long a parsed model stays cached after its last clone is released,
+// players and ghosts often come straight back into range
+const EVICT_DELAY = 30000
+
+// Named parts entity code animates in each model, with every name it accepts
+// for them. Vehicles look parts up from here and the inspector flags models
+// missing any of them
+export const REQUIRED_PARTS = {
+  [ModelPaths.HELICOPTER]: {
+    mainRotor: ['MainRotor'],
+    tailRotor: ['TailRotor'],
+    leftGear: ['LeftGear', 'LeftLandingGear', 'LGear'],
+    rightGear: ['RightGear', 'RightLandingGear', 'RGear'],
+    frontGear: ['FrontGear', 'NoseGear', 'FGear'],
+    rearGear: ['RearGear', 'TailGear']
+  },
+  [ModelPaths.PLANE]: {
+    propeller: ['propeller', 'prop']
+  }
+}
+
+// Untinted material of each mesh that Models.tint() has swapped out
+const baseMaterials = new WeakMap()
+// Every node of an acquired clone, anything later attached to one is not
+const clonedNodes = new WeakSet()
+
+// Registry of parsed models. Each GLB is parsed once and acquire() hands out
+// clones sharing its geometry and materials, counted so the last release()
+// can free them
 export class Models {
   static gltfLoader = new GLTFLoader()
+  static cache = new Map() // path -> { promise, gltf, refs, evictTimer }
+  static tints = new Map() // `${material.uuid}:${color}` -> { material, refs }
+  static parses = 0
+
+  static load(modelPath) {
+    let entry = this.cache.get(modelPath)
+    if (entry) return entry.promise
+
+    entry = { promise: null, gltf: null, refs: 0, evictTimer: null }
+    entry.promise = this.parse(modelPath).then((gltf) => {
+      if (this.cache.get(modelPath) !== entry) {
+        // Cleared while parsing, nobody will release this one
+        if (gltf) this.disposeObject(gltf.scene)
+        return null
+      }
+
+      if (!gltf) {
+        // Let a later acquire() try again
+        this.cache.delete(modelPath)
+      }
+      entry.gltf = gltf
+      return gltf
+    })
+    this.cache.set(modelPath, entry)
+    return entry.promise
+  }
 
-  static async loadModel(modelPath) {
-    // Get array buffer from shared loader
-    const arrayBuffer = await ModelLoader.fetchModel(modelPath, false, true)
+  static async parse(modelPath) {
+    // Downloaded by the loading screen, the shared loader covers anything it doesn't list.
+    // Files that failed there are left to the procedural placeholders
+    if (Assets.hasFailed(modelPath)) return null
+    const arrayBuffer = Assets.take(modelPath) || await ModelLoader.fetchModel(modelPath, false, true)
     if (!arrayBuffer) return null
 
     try {
@@ -21,44 +81,213 @@ export class Models {
           (error) => reject(error)
         )
       })
+      this.parses++
 
-      const model = gltf.scene.clone()
-      
-      // Parse model structure
-      const structure = this.parseModelStructure(model)
-      model.userData.structure = structure
-      
-      // Enable shadows on all meshes
-      model.traverse((child) => {
+      // Enable shadows on all meshes, clones inherit it
+      gltf.scene.traverse((child) => {
         if (child.isMesh) {
           child.castShadow = true
           child.receiveShadow = true
         }
       })
-      
-      return model
+
+      return gltf
     } catch (error) {
       console.error(`Failed to parse model ${modelPath}:`, error)
       return null
     }
   }
 
-  static parseModelStructure(model) {
+  static async acquire(modelPath) {
+    const pending = this.load(modelPath)
+    const entry = this.cache.get(modelPath)
+    const gltf = await pending
+    if (!gltf || this.cache.get(modelPath) !== entry) return null
+
+    clearTimeout(entry.evictTimer)
+    entry.evictTimer = null
+    entry.refs++
+
+    // Plain clone() would leave skinned meshes bound to the original skeleton.
+    // Geometry and materials stay shared with the cached scene
+    const model = SkeletonUtils.clone(gltf.scene)
+    model.userData.modelPath = modelPath
+    model.traverse(child => clonedNodes.add(child))
+
+    // Parse model structure, keeping the clips for Animations
+    model.userData.structure = this.parseModelStructure(model, gltf.animations)
+
+    return model
+  }
+
+  static release(model) {
+    const modelPath = model.userData.modelPath
+    if (!modelPath) return
+
+    // Released clones are left with null so a second release is a no-op
+    model.userData.modelPath = null
+    this.untint(model)
+
+    const entry = this.cache.get(modelPath)
+    if (!entry || --entry.refs > 0) return
+
+    entry.refs = 0
+    clearTimeout(entry.evictTimer)
+    entry.evictTimer = setTimeout(() => this.evict(modelPath), EVICT_DELAY)
+  }
+
+  static evict(modelPath) {
+    const entry = this.cache.get(modelPath)
+    if (!entry || entry.refs > 0) return
+
+    this.cache.delete(modelPath)
+    if (entry.gltf) {
+      this.disposeObject(entry.gltf.scene)
+    }
+  }
+
+  // Colors the meshes of an acquired clone with materials shared between
+  // every clone of the same model and color
+  static tint(model, color) {
+    model.traverse((child) => {
+      if (!child.isMesh) return
+
+      if (!baseMaterials.has(child)) {
+        baseMaterials.set(child, child.material)
+      }
+      const base = baseMaterials.get(child)
+      const previous = child.material
+
+      child.material = Array.isArray(base)
+        ? base.map(material => this.acquireTint(material, color))
+        : this.acquireTint(base, color)
+
+      if (previous !== base) {
+        this.releaseTint(previous)
+      }
+    })
+  }
+
+  static untint(model) {
+    model.traverse((child) => {
+      const base = baseMaterials.get(child)
+      if (!base) return
+
+      if (child.material !== base) {
+        this.releaseTint(child.material)
+      }
+      child.material = base
+      baseMaterials.delete(child)
+    })
+  }
+
+  static acquireTint(material, color) {
+    const key = `${material.uuid}:${color}`
+    let tint = this.tints.get(key)
+    if (!tint) {
+      const tinted = material.clone()
+      tinted.color.set(color)
+      tinted.userData.tintKey = key
+      tint = { material: tinted, refs: 0 }
+      this.tints.set(key, tint)
+    }
+
+    tint.refs++
+    return tint.material
+  }
+
+  static releaseTint(materials) {
+    for (const material of Array.isArray(materials) ? materials : [materials]) {
+      const key = material.userData.tintKey
+      const tint = this.tints.get(key)
+      if (!tint || --tint.refs > 0) continue
+
+      this.tints.delete(key)
+      tint.material.dispose()
+    }
+  }
+
+  // Frees an entity mesh: clones from acquire() go back to the cache, anything
+  // else (procedural fallbacks, name tags) owns its geometry and materials,
+  // including when it was added as a child of a clone
+  static dispose(object) {
+    if (clonedNodes.has(object)) {
+      for (const child of object.children) {
+        this.dispose(child)
+      }
+      if ('modelPath' in object.userData) this.release(object)
+      return
+    }
+
+    if (object.geometry) object.geometry.dispose()
+    if (object.material) this.disposeMaterials(object.material)
+
+    for (const child of object.children) {
+      this.dispose(child)
+    }
+  }
+
+  static disposeObject(object) {
+    object.traverse((child) => {
+      if (child.geometry) child.geometry.dispose()
+      if (child.material) this.disposeMaterials(child.material)
+    })
+  }
+
+  static disposeMaterials(materials) {
+    for (const material of Array.isArray(materials) ? materials : [materials]) {
+      for (const value of Object.values(material)) {
+        if (value && value.isTexture) value.dispose()
+      }
+      material.dispose()
+    }
+  }
+
+  static updateStats() {
+    let clones = 0
+    for (const entry of this.cache.values()) {
+      clones += entry.refs
+    }
+
+    State.models.cached = this.cache.size
+    State.models.parses = this.parses
+    State.models.clones = clones
+    State.models.tints = this.tints.size
+
+    if (Scene.renderer) {
+      State.models.geometries = Scene.renderer.info.memory.geometries
+      State.models.textures = Scene.renderer.info.memory.textures
+    }
+  }
+
+  static clear() {
+    for (const entry of this.cache.values()) {
+      clearTimeout(entry.evictTimer)
+      if (entry.gltf) this.disposeObject(entry.gltf.scene)
+    }
+    this.cache.clear()
+
+    for (const tint of this.tints.values()) {
+      tint.material.dispose()
+    }
+    this.tints.clear()
+  }
+
+  static parseModelStructure(model, animations = []) {
     const structure = {
       meshes: new Map(),
       bones: new Map(),
-      animations: []
+      animations
     }
-    
+
     model.traverse((child) => {
       if (child.isMesh) {
         structure.meshes.set(child.name, child)
-        console.log(`Found mesh: ${child.name}`)
       } else if (child.isBone) {
         structure.bones.set(child.name, child)
       }
     })
-    
+
     return structure
   }
 
@@ -66,4 +295,20 @@ export class Models {
     if (!model.userData.structure) return null
     return model.userData.structure.meshes.get(name)
   }
-}
\ No newline at end of file
+
+  // Part name -> object (or null) for every entry of REQUIRED_PARTS
+  static findParts(model, modelPath) {
+    const parts = {}
+    for (const [part, names] of Object.entries(REQUIRED_PARTS[modelPath] || {})) {
+      parts[part] = null
+      for (const name of names) {
+        const object = this.getNamedMesh(model, name) || model.getObjectByName(name)
+        if (object) {
+          parts[part] = object
+          break
+        }
+      }
+    }
+    return parts
+  }
+}
@@ -6,54 +6,205 @@ import { Ghosts } from './ghosts.js'
 import { Input } from './input.js'
 import { Control } from './control.js'
 import { State } from './state.js'
+import { Prediction } from './prediction.js'
+import { Codecs, JsonCodec, BinaryCodec, getByteLength } from './codec.js'
+import { Snapshots } from './snapshots.js'
+import { Interpolation } from './interpolation.js'
+import { Diagnostics } from './diagnostics.js'
+import { OfflineSocket } from './offline.js'
+import { Recorder } from './recorder.js'
+import { Chat } from './chat.js'
+import { Protocol } from './protocol.js'
+import { Interest } from './interest.js'
+import { Profile } from './profile.js'
+import { Effects } from './effects.js'
+import { Combat } from './combat.js'
+import { Death } from './death.js'
+import { Scoreboard } from './scoreboard.js'
 
 export class Network {
   static ws = null
-  static lastInputSent = {}
+  static url = null
+  static inputTimer = null
+  static recentInputs = []
+  static inputRedundancy = 3 // How many previous inputs ride along with each new one
+  static shouldReconnect = false
+  static reconnectTimer = null
+  static reconnectAttempt = 0
+  static baseReconnectDelay = 500
+  static maxReconnectDelay = 15000
+  static resumePlayerId = null
+  static sessionToken = null
+  static codec = new JsonCodec()
+  static binaryCodec = new BinaryCodec()
+  static serverCodecs = [JsonCodec.id]
+  static serverCapabilities = []
+  static pingTimer = null
+  static pingInterval = 1000
+  static keyframeRequestedAt = 0
+  static keyframeRetryDelay = 1000
 
-  static connect() {
-    // Use standard NODE_ENV check
-    const dev = process.env.NODE_ENV === 'development'
-    const wsUrl = dev ? 'ws://localhost:8080' : 'ws://thecoop.herokuapp.com'
+  static connect(url) {
+    this.url = url
+    this.shouldReconnect = true
+    this.reconnectAttempt = 0
+    this.open()
+  }
+
+  static open() {
+    // Offline mode swaps the socket for a simulated server running in the page
+    const ws = this.url === OfflineSocket.URL ? new OfflineSocket() : new WebSocket(this.url)
+    ws.binaryType = 'arraybuffer'
+    this.ws = ws
     
-    this.ws = new WebSocket(wsUrl)
+    // Every connection starts out speaking JSON until JOIN negotiates otherwise
+    this.codec = new JsonCodec()
+    this.binaryCodec = new BinaryCodec()
+    this.serverCodecs = [JsonCodec.id]
+    this.serverCapabilities = []
+    State.network.codec = JsonCodec.id
+    State.network.capabilities = []
+    Snapshots.reset()
+    Interpolation.resetClock()
+    Diagnostics.reset()
+    Interest.reset()
+    Combat.reset()
+    Scoreboard.reset()
+    State.death = null
     
-    this.ws.onopen = () => {
-      console.log('Connected to server')
+    ws.onopen = () => {
+      console.log(`Connected to ${this.url}`)
       State.connected = true
+      State.reconnecting = false
+      State.reconnectAttempt = 0
+      this.reconnectAttempt = 0
+      this.startPingLoop()
     }
     
-    this.ws.onmessage = (event) => {
-      const message = JSON.parse(event.data)
-      this.handleMessage(message)
+    ws.onmessage = (event) => {
+      // Text frames are JSON, binary frames use the binary codec
+      let message
+      // Exact counts only while the debug panel is showing them
+      const bytes = getByteLength(event.data, State.showDebugInfo)
+      try {
+        if (typeof event.data === 'string') {
+          message = JSON.parse(event.data)
+        } else {
+          message = this.binaryCodec.decode(event.data)
+        }
+        if (!message || message.type === undefined || message.type === null) {
+          throw new Error('Message has no type')
+        }
+      } catch (error) {
+        Diagnostics.recordMalformed(error)
+        return
+      }
+      
+      Diagnostics.recordIn(message.type, bytes)
+      if (!Protocol.isKnownType(message.type)) {
+        Diagnostics.recordUnknown(message.type)
+        return
+      }
+      Recorder.record('in', message)
+      
+      // One bad handler shouldn't take the rest of the connection down with it
+      try {
+        this.handleMessage(message)
+      } catch (error) {
+        Diagnostics.recordHandlerError(message.type, error)
+      }
     }
     
-    this.ws.onclose = () => {
+    ws.onclose = () => {
+      // Ignore sockets we have already replaced
+      if (ws !== this.ws) return
+      
       console.log('Disconnected from server')
       State.connected = false
+      this.ws = null
+      this.stopInputLoop()
+      this.stopPingLoop()
+      Death.cancelRequest()
+      
+      // Remember who we were so the server can restore us
+      if (State.playerId) {
+        this.resumePlayerId = State.playerId
+      }
+      Prediction.reset()
+      
+      if (this.shouldReconnect) {
+        this.scheduleReconnect()
+      }
     }
     
-    this.ws.onerror = (error) => {
+    ws.onerror = (error) => {
       console.error('WebSocket error:', error)
     }
   }
 
+  static scheduleReconnect() {
+    this.reconnectAttempt++
+    State.reconnecting = true
+    State.reconnectAttempt = this.reconnectAttempt
+    
+    // Exponential backoff with equal jitter so clients don't reconnect in lockstep
+    const ceiling = Math.min(
+      this.maxReconnectDelay,
+      this.baseReconnectDelay * 2 ** (this.reconnectAttempt - 1)
+    )
+    const delay = ceiling / 2 + Math.random() * ceiling / 2
+    
+    console.log(`Reconnecting in ${Math.round(delay)}ms (attempt ${this.reconnectAttempt})`)
+    this.reconnectTimer = setTimeout(() => {
+      this.reconnectTimer = null
+      this.open()
+    }, delay)
+  }
+
   static handleMessage(message) {
     switch (message.type) {
       case MessageTypes.INIT:
+        // Replays were checked when they were recorded
+        if (!State.replay.loaded && !this.checkProtocol(message.protocol)) return
+        
         State.playerId = message.playerId
+        if (message.sessionToken) {
+          this.sessionToken = message.sessionToken
+        }
+        if (Array.isArray(message.codecs)) {
+          this.serverCodecs = message.codecs
+        }
         if (message.level) {
           Scene.createLevel(message.level)
+          Prediction.setLevel(message.level)
         }
-        this.send({ type: MessageTypes.JOIN })
+        this.join()
+        break
+        
+      case MessageTypes.RESUMED:
+        // Server restored our previous player instead of spawning a new one
+        State.playerId = message.playerId
+        this.resumePlayerId = null
+        Prediction.reset()
         break
         
       case MessageTypes.GAME_STATE:
-        this.updateGameState(message.state)
+        Diagnostics.recordSnapshot()
+        this.handleGameState(message)
+        break
+        
+      case MessageTypes.PONG:
+        Diagnostics.recordPong(message.time)
+        break
+        
+      case MessageTypes.CHAT_MESSAGE:
+        Chat.receive(message)
         break
         
       case MessageTypes.PLAYER_JOINED:
-        Entities.addPlayer(message.player)
+        if (Interest.acceptsPlayer(message.player)) {
+          Entities.addPlayer(message.player)
+        }
         break
         
       case MessageTypes.PLAYER_LEFT:
@@ -61,33 +212,180 @@ export class Network {
         break
         
       case MessageTypes.PROJECTILE_SPAWN:
-        Entities.addProjectile(message.projectile)
+        if (Interest.acceptsProjectile(message.projectile)) {
+          Entities.addProjectile(message.projectile)
+          
+          // Our own shots already flashed when we fired them
+          if (message.projectile.owner !== State.playerId) {
+            Effects.muzzleFlash(message.projectile.position)
+          }
+        }
         break
         
       case MessageTypes.PROJECTILE_REMOVE:
-        Entities.removeProjectile(message.projectileId)
+        this.handleProjectileRemove(message)
         break
         
       case MessageTypes.HIT:
         this.handleHit(message)
         break
+        
+      case MessageTypes.PLAYER_DIED:
+        Combat.handleDeath(message)
+        if (message.playerId === State.playerId) {
+          Death.begin(message)
+        }
+        break
+        
+      case MessageTypes.ROUND_END:
+        Scoreboard.roundEnd(message)
+        break
+        
+      case MessageTypes.ROUND_START:
+        Scoreboard.roundStart()
+        break
+        
+      case MessageTypes.PLAYER_RESPAWNED:
+        if (message.playerId === State.playerId) {
+          Death.finish()
+        }
+        break
       
       case MessageTypes.VEHICLE_UPDATE:
-        Vehicles.updateVehicle(message.vehicle)
+        if (Interest.acceptsVehicle(message.vehicle)) {
+          Vehicles.updateVehicle(message.vehicle)
+        }
         break
       
       case MessageTypes.GHOST_UPDATE:
-        Ghosts.updateGhost(message.ghost)
+        if (Interest.acceptsGhost(message.ghost)) {
+          Ghosts.updateGhost(message.ghost)
+        }
+        break
+        
+      case MessageTypes.ENTITY_ENTER:
+        Interest.enter(message)
         break
+        
+      case MessageTypes.ENTITY_LEAVE:
+        Interest.leave(message)
+        break
+        
+      default:
+        Diagnostics.recordUnknown(message.type)
     }
   }
 
+  static checkProtocol(remote) {
+    const mismatch = Protocol.check(remote)
+    if (mismatch) {
+      // Reconnecting won't fix this, only a reload (or a server update) will
+      console.error('Protocol mismatch:', mismatch)
+      State.protocolMismatch = mismatch
+      this.disconnect()
+      return false
+    }
+    
+    this.serverCapabilities = remote && Array.isArray(remote.capabilities) ? remote.capabilities : []
+    State.network.capabilities = this.serverCapabilities
+    return true
+  }
+
+  static supports(capability) {
+    return this.serverCapabilities.includes(capability)
+  }
+
+  static join() {
+    const message = {
+      type: MessageTypes.JOIN,
+      protocol: Protocol.describe(),
+      profile: Profile.describe()
+    }
+    
+    if (this.resumePlayerId) {
+      message.resumePlayerId = this.resumePlayerId
+      message.sessionToken = this.sessionToken
+    }
+    
+    // Spectators connect without a player being spawned for them
+    if (State.spectating) {
+      message.spectator = true
+    }
+    
+    const codec = this.chooseCodec()
+    message.codec = codec
+    message.deltas = true
+    this.send(message)
+    
+    // The server switches codec once it has read JOIN, so we switch after sending it
+    this.codec = codec === BinaryCodec.id ? this.binaryCodec : new Codecs[codec]()
+    State.network.codec = codec
+    
+    // Inputs only go out once the server has a player (or spectator) for them.
+    // Replays call join() through INIT with no socket and never send input
+    if (this.ws && this.ws.readyState === WebSocket.OPEN) {
+      this.startInputLoop()
+    }
+  }
+
+  static chooseCodec() {
+    // ?codec=json forces a format, handy for comparing the two
+    const requested = new URLSearchParams(window.location.search).get('codec')
+    const preferred = requested && Codecs[requested] ? requested : BinaryCodec.id
+    return this.serverCodecs.includes(preferred) ? preferred : JsonCodec.id
+  }
+
+  static handleGameState(message) {
+    const snapshot = Snapshots.receive(message)
+    
+    if (!snapshot) {
+      if (Snapshots.needsKeyframe) {
+        this.requestKeyframe()
+      }
+      return
+    }
+    
+    Interpolation.beginSnapshot(message.serverTime)
+    try {
+      this.updateGameState(snapshot.state)
+    } finally {
+      Interpolation.endSnapshot()
+    }
+    
+    // Acked states become baselines the server can diff against
+    if (snapshot.sequence !== null) {
+      this.send({
+        type: MessageTypes.STATE_ACK,
+        sequence: snapshot.sequence
+      })
+    }
+  }
+
+  static requestKeyframe(force = false) {
+    // Deltas keep arriving until the keyframe does, don't ask for every one
+    const now = performance.now()
+    if (!force && now - this.keyframeRequestedAt < this.keyframeRetryDelay) return
+    
+    this.keyframeRequestedAt = now
+    this.send({ type: MessageTypes.REQUEST_KEYFRAME })
+  }
+
   static updateGameState(state) {
-    // Update player count
-    State.playerCount = state.players.length
+    // Update player count, servers filtering by interest tell us the real total
+    State.playerCount = state.playerCount ?? state.players.length
+    
+    // Stats cover every player, including ones outside our interest radius
+    if (state.stats) {
+      Scoreboard.update(state.stats)
+    }
+    
+    // Anything out of range is treated as gone and despawned below
+    state = Interest.filter(state)
     
     // Update players
+    const playerIds = new Set()
     for (const playerData of state.players) {
+      playerIds.add(playerData.id)
       if (!Entities.players.has(playerData.id)) {
         Entities.addPlayer(playerData)
       } else {
@@ -98,18 +396,22 @@ export class Network {
       if (playerData.id === State.playerId) {
         State.playerHealth = playerData.health
         State.carryingGhost = playerData.carryingGhost
+        Death.updateFromState(playerData)
+        Prediction.reconcile(playerData)
       }
     }
     
     // Remove players that are no longer in state
     for (const [id] of Entities.players) {
-      if (!state.players.find(p => p.id === id)) {
+      if (!playerIds.has(id)) {
         Entities.removePlayer(id)
       }
     }
     
     // Update projectiles
+    const projectileIds = new Set()
     for (const projectileData of state.projectiles) {
+      projectileIds.add(projectileData.id)
       if (!Entities.projectileMeshes.has(projectileData.id)) {
         Entities.addProjectile(projectileData)
       } else {
@@ -119,48 +421,93 @@ export class Network {
     
     // Remove projectiles that are no longer in state
     for (const [id] of Entities.projectileMeshes) {
-      if (!state.projectiles.find(p => p.id === id)) {
+      if (!projectileIds.has(id)) {
         Entities.removeProjectile(id)
       }
     }
     
     // Update vehicles
+    const vehicleIds = new Set()
     for (const vehicleData of state.vehicles) {
+      vehicleIds.add(vehicleData.id)
       Vehicles.updateVehicle(vehicleData)
     }
     
+    // Remove vehicles that are no longer in state (e.g. left over from before a reconnect)
+    for (const [id] of Vehicles.vehicles) {
+      if (!vehicleIds.has(id)) {
+        Vehicles.removeVehicle(id)
+      }
+    }
+    
     // Update ghosts
+    const ghostIds = new Set()
     for (const ghostData of state.ghosts) {
+      ghostIds.add(ghostData.id)
       Ghosts.updateGhost(ghostData)
     }
     
+    // Remove ghosts that are no longer in state
+    for (const [id] of Ghosts.ghosts) {
+      if (!ghostIds.has(id)) {
+        Ghosts.removeGhost(id)
+      }
+    }
+    
     // Check interactions
     Control.checkNearbyVehicles()
     Control.checkNearbyGhosts()
   }
 
+  static handleProjectileRemove(message) {
+    // Projectiles that just ran out of range didn't hit anything. Sparks go
+    // first while the pooled mesh still holds the last position.
+    if (!message.expired) {
+      const mesh = Entities.projectileMeshes.get(message.projectileId)
+      const position = message.position || (mesh && mesh.position)
+      if (position) {
+        Effects.impact(position, message.projectileId)
+      }
+    }
+    Entities.removeProjectile(message.projectileId)
+  }
+
   static handleHit(hitData) {
-    if (hitData.target === State.playerId) {
-      // Flash red effect
-      const overlay = document.createElement('div')
-      overlay.style.position = 'fixed'
-      overlay.style.top = '0'
-      overlay.style.left = '0'
-      overlay.style.width = '100%'
-      overlay.style.height = '100%'
-      overlay.style.backgroundColor = 'red'
-      overlay.style.opacity = '0.3'
-      overlay.style.pointerEvents = 'none'
-      overlay.style.zIndex = '1000'
-      document.body.appendChild(overlay)
-      
-      setTimeout(() => {
-        document.body.removeChild(overlay)
-      }, 200)
+    if (hitData.position) {
+      // Only projectiles we still show get a PROJECTILE_REMOVE to clear the id again
+      const live = Entities.projectileMeshes.has(hitData.projectileId)
+      Effects.hit(hitData.position, live ? hitData.projectileId : undefined)
+    }
+    
+    Combat.handleHit(hitData)
+  }
+
+  // Input is sampled at a fixed rate, independent of the render loop, so the
+  // server sees the same stream whatever the monitor refresh rate is
+  static startInputLoop() {
+    this.stopInputLoop()
+    this.recentInputs = []
+    this.inputTimer = setInterval(() => this.sendInput(), 1000 / State.inputRate)
+  }
+
+  static stopInputLoop() {
+    if (this.inputTimer) {
+      clearInterval(this.inputTimer)
+      this.inputTimer = null
+    }
+  }
+
+  static setInputRate(rate) {
+    State.inputRate = rate
+    if (this.inputTimer) {
+      this.startInputLoop()
     }
   }
 
   static sendInput() {
+    // Spectators have nothing to control, the dead have to wait for a respawn
+    if (State.spectating || State.death) return
+    
     const input = Input.getInput()
     
     // Add look direction if not in vehicle
@@ -168,28 +515,56 @@ export class Network {
       input.lookDirection = Control.getLookDirection()
     }
     
-    // Always send input when there's movement or look changes
-    const hasMovement = input.moveForward || input.moveBackward || input.moveLeft || input.moveRight || input.jump || input.shift || input.descend
-    const lookChanged = JSON.stringify(input.lookDirection) !== JSON.stringify(this.lastInputSent.lookDirection)
-    
-    if (hasMovement || lookChanged || JSON.stringify(input) !== JSON.stringify(this.lastInputSent)) {
-      if (this.ws && this.ws.readyState === WebSocket.OPEN) {
-        this.send({
-          type: MessageTypes.INPUT,
-          input: input
-        })
-      }
-      this.lastInputSent = { ...input }
+    const entry = {
+      sequence: Prediction.nextSequence(),
+      timestamp: Math.round(performance.now()),
+      input: input
     }
+    
+    // Resend the last few inputs so a lost packet doesn't lose an input;
+    // the server skips sequences it has already processed
+    this.send({
+      type: MessageTypes.INPUT,
+      ...entry,
+      redundant: this.recentInputs
+    })
+    
+    this.recentInputs = [entry, ...this.recentInputs].slice(0, this.inputRedundancy)
+    Recorder.record('input', entry)
+    
+    Prediction.applyInput(input, 1 / State.inputRate, entry.sequence)
   }
 
   static send(message) {
     if (this.ws && this.ws.readyState === WebSocket.OPEN) {
-      this.ws.send(JSON.stringify(message))
+      const data = this.codec.encode(message)
+      Diagnostics.recordOut(message.type, getByteLength(data, State.showDebugInfo))
+      this.ws.send(data)
+    }
+  }
+
+  // The server echoes the time back in a PONG so we can measure round trips
+  static startPingLoop() {
+    this.stopPingLoop()
+    this.pingTimer = setInterval(() => {
+      this.send({ type: MessageTypes.PING, time: performance.now() })
+    }, this.pingInterval)
+  }
+
+  static stopPingLoop() {
+    if (this.pingTimer) {
+      clearInterval(this.pingTimer)
+      this.pingTimer = null
     }
   }
 
   static disconnect() {
+    this.shouldReconnect = false
+    if (this.reconnectTimer) {
+      clearTimeout(this.reconnectTimer)
+      this.reconnectTimer = null
+    }
+    
     if (this.ws) {
       this.ws.close()
     }
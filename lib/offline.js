@@ -0,0 +1,637 @@
+import RAPIER from '@dimforge/rapier3d-compat'
+import {
+  MessageTypes,
+  PlayerConstants,
+  VehicleConstants,
+  VehicleTypes,
+  GhostConstants,
+  GhostTypes
+} from '@game/shared'
+import { Physics } from './physics.js'
+import { CharacterMotor } from './character.js'
+import { JsonCodec } from './codec.js'
+import { Protocol } from './protocol.js'
+import { Profile } from './profile.js'
+
+const TICK_RATE = 30
+// Inputs waiting for a tick, past this the oldest are dropped rather than lagging further behind
+const MAX_QUEUED_INPUTS = 10
+const PROJECTILE_SPEED = 50
+const PROJECTILE_LIFETIME = 2
+const PROJECTILE_DAMAGE = 10
+const THROW_SPEED = 15
+const RESPAWN_DELAY = 3000
+
+// Small level so offline mode has something to walk around on
+const LEVEL = [
+  { type: 'cube', position: { x: 10, y: 1, z: -10 }, size: { x: 4, y: 2, z: 4 }, color: 0x8b7355 },
+  { type: 'cube', position: { x: -12, y: 2, z: -6 }, size: { x: 6, y: 4, z: 2 }, color: 0x777777 },
+  { type: 'cube', position: { x: 0, y: 0.5, z: -20 }, size: { x: 10, y: 1, z: 4 }, color: 0x996633 },
+  { type: 'cube', position: { x: 18, y: 3, z: 12 }, size: { x: 3, y: 6, z: 3 }, color: 0x555577 },
+  { type: 'box', position: { x: -20, y: 1.5, z: 15 }, rotation: { x: 0, y: Math.PI / 4, z: 0 }, size: { x: 5, y: 3, z: 1 }, color: 0x8888aa },
+  { type: 'sphere', position: { x: 30, y: 2, z: 5 }, radius: 2, color: 0xaa5533 },
+  { type: 'cylinder', position: { x: -30, y: 2.5, z: -15 }, radius: 1.5, height: 5, color: 0x667766 },
+  { type: 'ramp', position: { x: 0, y: 0.5, z: -15 }, rotation: { x: 0, y: Math.PI, z: 0 }, size: { x: 4, y: 1, z: 6 }, color: 0x996633 },
+  { type: 'model', model: 'rocket', position: { x: -35, y: 0, z: 25 }, scale: 2 },
+  { type: 'model', model: 'asteroid', position: { x: 35, y: 12, z: -30 }, scale: 3 },
+  { type: 'point-light', position: { x: 18, y: 7, z: 12 }, color: 0xffaa44, intensity: 15, distance: 20 },
+  { type: 'spot-light', position: { x: 0, y: 10, z: -20 }, target: { x: 0, y: 0, z: -20 }, intensity: 40, distance: 30 },
+  // Players (re)spawn at a random spot inside one of these
+  { type: 'volume', tag: 'spawn', id: 'center', name: 'Center', position: { x: 0, y: 2, z: 0 }, size: { x: 6, y: 2, z: 6 } },
+  { type: 'volume', tag: 'spawn', id: 'east', name: 'East', position: { x: 25, y: 2, z: 0 }, size: { x: 6, y: 2, z: 6 } },
+  { type: 'volume', tag: 'spawn', id: 'west', name: 'West', position: { x: -25, y: 2, z: 0 }, size: { x: 6, y: 2, z: 6 } },
+  { type: 'volume', tag: 'trigger', id: 'landing-pad', position: { x: -10, y: 1, z: 10 }, size: { x: 8, y: 2, z: 8 } }
+]
+
+const SPAWN_VOLUMES = LEVEL.filter(object => object.type === 'volume' && object.tag === 'spawn')
+
+const VEHICLES = [
+  { type: VehicleTypes.CAR, position: { x: 6, y: 0, z: 6 } },
+  { type: VehicleTypes.HELICOPTER, position: { x: -10, y: 0, z: 10 } },
+  { type: VehicleTypes.PLANE, position: { x: 20, y: 0, z: -25 } }
+]
+
+const GHOSTS = [
+  { type: GhostTypes.BOX, size: { width: 1, height: 1, depth: 1 }, color: 0xcc4444, position: { x: 3, y: 1, z: -4 } },
+  { type: GhostTypes.SPHERE, size: { radius: 0.5 }, color: 0x44cc44, position: { x: -3, y: 1, z: -4 } },
+  { type: GhostTypes.CYLINDER, size: { radius: 0.4, height: 1.2 }, color: 0x4444cc, position: { x: 0, y: 1, z: -6 } }
+]
+
+// Stand-in for WebSocket that talks to an OfflineServer running in the page.
+// Messages still go through JSON so the client's codec path is exercised.
+export class OfflineSocket {
+  static URL = 'offline://local'
+
+  constructor() {
+    this.readyState = WebSocket.CONNECTING
+    this.binaryType = 'blob'
+    this.onopen = null
+    this.onmessage = null
+    this.onclose = null
+    this.onerror = null
+    this.server = new OfflineServer(this)
+
+    setTimeout(async () => {
+      this.readyState = WebSocket.OPEN
+      if (this.onopen) this.onopen()
+      await this.server.start()
+    })
+  }
+
+  send(data) {
+    if (this.readyState !== WebSocket.OPEN) return
+    const message = JSON.parse(data)
+    queueMicrotask(() => this.server.receive(message))
+  }
+
+  deliver(message) {
+    if (this.readyState !== WebSocket.OPEN) return
+    if (this.onmessage) this.onmessage({ data: JSON.stringify(message) })
+  }
+
+  close() {
+    if (this.readyState === WebSocket.CLOSED) return
+    this.readyState = WebSocket.CLOSED
+    this.server.stop()
+    if (this.onclose) this.onclose()
+  }
+}
+
+// Authoritative simulation of a single-player match using the same movement
+// code as client prediction
+export class OfflineServer {
+  constructor(socket) {
+    this.socket = socket
+    this.world = null
+    this.timer = null
+    this.stopped = false
+    this.nextId = 1
+    this.sequence = 0
+    this.players = new Map()
+    this.vehicles = new Map()
+    this.ghosts = new Map()
+    this.projectiles = new Map()
+  }
+
+  async start() {
+    await Physics.init()
+    if (this.stopped) return
+
+    this.world = Physics.createWorld()
+    this.world.timestep = 1 / TICK_RATE
+    Physics.createLevelColliders(this.world, LEVEL)
+
+    for (const vehicle of VEHICLES) {
+      this.spawnVehicle(vehicle)
+    }
+    for (const ghost of GHOSTS) {
+      this.spawnGhost(ghost)
+    }
+
+    this.playerId = this.createId('player')
+    this.send({
+      type: MessageTypes.INIT,
+      playerId: this.playerId,
+      level: LEVEL,
+      codecs: [JsonCodec.id],
+      protocol: Protocol.describe()
+    })
+
+    this.timer = setInterval(() => this.tick(), 1000 / TICK_RATE)
+  }
+
+  stop() {
+    this.stopped = true
+    clearInterval(this.timer)
+    this.timer = null
+    if (this.world) {
+      this.world.free()
+      this.world = null
+    }
+  }
+
+  createId(prefix) {
+    return `${prefix}-${(this.nextId++).toString(36).padStart(4, '0')}`
+  }
+
+  send(message) {
+    this.socket.deliver(message)
+  }
+
+  receive(message) {
+    if (!this.world) return
+    const player = this.players.get(this.playerId)
+
+    switch (message.type) {
+      case MessageTypes.JOIN:
+        // Spectators only get the world state, nobody to control
+        if (!player && !message.spectator) this.spawnPlayer(this.playerId, message.profile)
+        break
+
+      case MessageTypes.RESPAWN:
+        if (player) this.respawn(player, message.spawnPoint)
+        break
+
+      case MessageTypes.SET_PROFILE:
+        if (player) this.setProfile(player, message)
+        break
+
+      case MessageTypes.INPUT:
+        // Acked by the tick that simulates it, not here, so reconciliation
+        // replays from a state that already includes everything acked
+        if (player && player.respawnAt === null && message.sequence > player.lastQueuedInput) {
+          player.inputQueue.push({ sequence: message.sequence, input: message.input })
+          player.lastQueuedInput = message.sequence
+          if (player.inputQueue.length > MAX_QUEUED_INPUTS) player.inputQueue.shift()
+        }
+        break
+
+      case MessageTypes.FIRE:
+        if (player) this.fire(player, message)
+        break
+
+      case MessageTypes.ENTER_VEHICLE:
+        if (player) this.enterVehicle(player, message.vehicleId)
+        break
+
+      case MessageTypes.EXIT_VEHICLE:
+        if (player) this.exitVehicle(player)
+        break
+
+      case MessageTypes.GRAB_GHOST:
+        if (player) this.grabGhost(player, message.ghostId)
+        break
+
+      case MessageTypes.DROP_GHOST:
+        if (player) this.releaseGhost(player, null)
+        break
+
+      case MessageTypes.THROW_GHOST:
+        if (player) this.releaseGhost(player, message.direction)
+        break
+
+      case MessageTypes.PING:
+        this.send({ type: MessageTypes.PONG, time: message.time })
+        break
+
+      case MessageTypes.CHAT_MESSAGE:
+        this.send({
+          type: MessageTypes.CHAT_MESSAGE,
+          from: this.playerId,
+          name: player ? player.name : null,
+          text: message.text
+        })
+        break
+
+      case MessageTypes.CHAT_COMMAND:
+        this.send({
+          type: MessageTypes.CHAT_MESSAGE,
+          system: true,
+          text: `/${message.command} is not available offline`
+        })
+        break
+    }
+  }
+
+  spawnPlayer(id, profile) {
+    const player = {
+      id,
+      name: null,
+      color: null,
+      motor: new CharacterMotor(this.world, this.getSpawnPosition(SPAWN_VOLUMES[0])),
+      input: {},
+      lookDirection: { x: 0, y: 0, z: -1 },
+      health: 100,
+      respawnAt: null, // Set while dead
+      kills: 0,
+      deaths: 0,
+      joinedAt: performance.now(),
+      vehicle: null,
+      carryingGhost: null,
+      inputQueue: [],
+      lastQueuedInput: 0,
+      lastProcessedInput: 0
+    }
+    if (profile) this.setProfile(player, profile)
+    this.players.set(id, player)
+    this.send({ type: MessageTypes.PLAYER_JOINED, player: this.serializePlayer(player) })
+  }
+
+  setProfile(player, { name, color }) {
+    // Same rules as a real server, never trust what the client sends
+    player.name = Profile.cleanName(name) || player.name
+    if (Profile.isValidColor(color)) player.color = color
+  }
+
+  spawnVehicle({ type, position }) {
+    const size = this.getVehicleSize(type)
+    const id = this.createId('vehicle')
+    this.vehicles.set(id, {
+      id,
+      type,
+      position: { x: position.x, y: size.height / 2, z: position.z },
+      heading: 0,
+      speed: 0,
+      throttle: 0,
+      driver: null
+    })
+  }
+
+  getVehicleSize(type) {
+    switch (type) {
+      case VehicleTypes.HELICOPTER:
+        return VehicleConstants.HELICOPTER_SIZE
+      case VehicleTypes.PLANE:
+        return VehicleConstants.PLANE_SIZE
+      default:
+        return VehicleConstants.CAR_SIZE
+    }
+  }
+
+  spawnGhost({ type, size, color, position }) {
+    let colliderDesc
+    switch (type) {
+      case GhostTypes.SPHERE:
+        colliderDesc = RAPIER.ColliderDesc.ball(size.radius)
+        break
+      case GhostTypes.CYLINDER:
+        colliderDesc = RAPIER.ColliderDesc.cylinder(size.height / 2, size.radius)
+        break
+      default:
+        colliderDesc = RAPIER.ColliderDesc.cuboid(size.width / 2, size.height / 2, size.depth / 2)
+    }
+
+    const body = this.world.createRigidBody(
+      RAPIER.RigidBodyDesc.dynamic().setTranslation(position.x, position.y, position.z)
+    )
+    this.world.createCollider(colliderDesc, body)
+
+    const id = this.createId('ghost')
+    this.ghosts.set(id, { id, type, size, color, body, carrier: null })
+  }
+
+  fire(player, message) {
+    if (player.vehicle || player.health <= 0) return
+
+    const id = this.createId('projectile')
+    const projectile = {
+      id,
+      owner: player.id,
+      origin: { ...message.origin },
+      position: { ...message.origin },
+      velocity: {
+        x: message.direction.x * PROJECTILE_SPEED,
+        y: message.direction.y * PROJECTILE_SPEED,
+        z: message.direction.z * PROJECTILE_SPEED
+      },
+      age: 0
+    }
+    this.projectiles.set(id, projectile)
+    this.send({ type: MessageTypes.PROJECTILE_SPAWN, projectile: this.serializeProjectile(projectile) })
+  }
+
+  enterVehicle(player, vehicleId) {
+    const vehicle = this.vehicles.get(vehicleId)
+    if (!vehicle || vehicle.driver || player.vehicle || player.respawnAt !== null) return
+    if (this.distance(player.motor.position, vehicle.position) > VehicleConstants.INTERACTION_RANGE) return
+
+    this.releaseGhost(player, null)
+    vehicle.driver = player.id
+    player.vehicle = vehicle.id
+  }
+
+  exitVehicle(player) {
+    const vehicle = this.vehicles.get(player.vehicle)
+    if (!vehicle) return
+
+    vehicle.driver = null
+    vehicle.speed = 0
+    vehicle.throttle = 0
+    player.vehicle = null
+
+    // Drop the player off beside the vehicle
+    const size = this.getVehicleSize(vehicle.type)
+    player.motor.setState({
+      x: vehicle.position.x + Math.cos(vehicle.heading) * (size.width / 2 + 1),
+      y: vehicle.position.y + 1,
+      z: vehicle.position.z - Math.sin(vehicle.heading) * (size.width / 2 + 1)
+    }, { x: 0, y: 0, z: 0 })
+  }
+
+  grabGhost(player, ghostId) {
+    const ghost = this.ghosts.get(ghostId)
+    if (!ghost || ghost.carrier || player.carryingGhost || player.vehicle || player.respawnAt !== null) return
+    if (this.distance(player.motor.position, ghost.body.translation()) > GhostConstants.INTERACTION_RANGE) return
+
+    ghost.carrier = player.id
+    ghost.body.setGravityScale(0, true)
+    player.carryingGhost = ghost.id
+  }
+
+  releaseGhost(player, direction) {
+    const ghost = this.ghosts.get(player.carryingGhost)
+    player.carryingGhost = null
+    if (!ghost) return
+
+    ghost.carrier = null
+    ghost.body.setGravityScale(1, true)
+    if (direction) {
+      ghost.body.setLinvel({
+        x: direction.x * THROW_SPEED,
+        y: direction.y * THROW_SPEED,
+        z: direction.z * THROW_SPEED
+      }, true)
+    }
+  }
+
+  tick() {
+    const dt = 1 / TICK_RATE
+
+    for (const player of this.players.values()) {
+      // One input per tick, the last one keeps applying while none arrive
+      const queued = player.inputQueue.shift()
+      if (queued) {
+        player.input = queued.input
+        player.lastProcessedInput = queued.sequence
+      }
+
+      if (player.vehicle) {
+        this.driveVehicle(player, this.vehicles.get(player.vehicle), dt)
+      } else {
+        if (player.input.lookDirection) {
+          player.lookDirection = player.input.lookDirection
+        }
+        player.motor.step(player.input, player.lookDirection, dt)
+      }
+
+      this.updateCarriedGhost(player)
+    }
+
+    this.world.step()
+    this.updateProjectiles(dt)
+
+    this.send({
+      type: MessageTypes.GAME_STATE,
+      sequence: ++this.sequence,
+      serverTime: performance.now(),
+      state: {
+        players: Array.from(this.players.values(), player => this.serializePlayer(player)),
+        projectiles: Array.from(this.projectiles.values(), projectile => this.serializeProjectile(projectile)),
+        vehicles: Array.from(this.vehicles.values(), vehicle => this.serializeVehicle(vehicle)),
+        ghosts: Array.from(this.ghosts.values(), ghost => this.serializeGhost(ghost)),
+        stats: Array.from(this.players.values(), player => this.serializeStats(player))
+      }
+    })
+  }
+
+  // Arcade handling, enough to exercise the vehicle code on the client
+  driveVehicle(player, vehicle, dt) {
+    const input = player.input
+    const size = this.getVehicleSize(vehicle.type)
+    const groundY = size.height / 2
+
+    if (vehicle.type === VehicleTypes.PLANE) {
+      if (input.moveForward) vehicle.throttle = Math.min(vehicle.throttle + dt * 0.5, 1)
+      if (input.moveBackward) vehicle.throttle = Math.max(vehicle.throttle - dt * 0.5, 0)
+      vehicle.speed = vehicle.throttle * 40
+      if (input.moveLeft) vehicle.heading += dt
+      if (input.moveRight) vehicle.heading -= dt
+      if (vehicle.speed > 20) {
+        if (input.jump) vehicle.position.y += dt * 8
+        if (input.shift) vehicle.position.y -= dt * 8
+      } else {
+        vehicle.position.y -= dt * 5
+      }
+    } else {
+      const targetSpeed = input.moveForward ? 15 : input.moveBackward ? -8 : 0
+      vehicle.speed += (targetSpeed - vehicle.speed) * Math.min(dt * 2, 1)
+      if (input.moveLeft) vehicle.heading += dt * 1.5
+      if (input.moveRight) vehicle.heading -= dt * 1.5
+
+      if (vehicle.type === VehicleTypes.HELICOPTER) {
+        if (input.jump) vehicle.position.y += dt * 6
+        if (input.shift || input.descend) vehicle.position.y -= dt * 6
+      }
+    }
+
+    vehicle.position.x -= Math.sin(vehicle.heading) * vehicle.speed * dt
+    vehicle.position.z -= Math.cos(vehicle.heading) * vehicle.speed * dt
+    vehicle.position.y = Math.max(vehicle.position.y, groundY)
+
+    // Driver rides along with the vehicle
+    player.motor.setState(vehicle.position, { x: 0, y: 0, z: 0 })
+  }
+
+  updateCarriedGhost(player) {
+    const ghost = this.ghosts.get(player.carryingGhost)
+    if (!ghost) return
+
+    const position = player.motor.position
+    const look = player.lookDirection
+    ghost.body.setTranslation({
+      x: position.x + look.x * GhostConstants.CARRY_DISTANCE,
+      y: position.y + 0.5 + look.y * GhostConstants.CARRY_DISTANCE,
+      z: position.z + look.z * GhostConstants.CARRY_DISTANCE
+    }, true)
+    ghost.body.setLinvel({ x: 0, y: 0, z: 0 }, true)
+    ghost.body.setAngvel({ x: 0, y: 0, z: 0 }, true)
+  }
+
+  updateProjectiles(dt) {
+    for (const projectile of this.projectiles.values()) {
+      projectile.age += dt
+      projectile.position.x += projectile.velocity.x * dt
+      projectile.position.y += projectile.velocity.y * dt
+      projectile.position.z += projectile.velocity.z * dt
+
+      const target = this.findHit(projectile)
+      if (target) {
+        target.health = Math.max(target.health - PROJECTILE_DAMAGE, 0)
+        this.send({
+          type: MessageTypes.HIT,
+          projectileId: projectile.id,
+          target: target.id,
+          shooter: projectile.owner,
+          damage: PROJECTILE_DAMAGE,
+          health: target.health,
+          position: { ...projectile.position },
+          origin: { ...projectile.origin }
+        })
+        if (target.health <= 0) {
+          this.kill(target, projectile.owner)
+        }
+      }
+
+      if (target || projectile.age > PROJECTILE_LIFETIME || projectile.position.y < 0) {
+        this.projectiles.delete(projectile.id)
+        this.send({
+          type: MessageTypes.PROJECTILE_REMOVE,
+          projectileId: projectile.id,
+          position: { ...projectile.position },
+          expired: !target && projectile.position.y >= 0
+        })
+      }
+    }
+  }
+
+  findHit(projectile) {
+    for (const player of this.players.values()) {
+      if (player.id === projectile.owner || player.vehicle || player.respawnAt !== null) continue
+      const dx = projectile.position.x - player.motor.position.x
+      const dz = projectile.position.z - player.motor.position.z
+      const dy = Math.abs(projectile.position.y - player.motor.position.y)
+      if (Math.sqrt(dx * dx + dz * dz) < PlayerConstants.RADIUS && dy < PlayerConstants.HEIGHT / 2) {
+        return player
+      }
+    }
+    return null
+  }
+
+  kill(player, killerId) {
+    player.deaths++
+    const killer = this.players.get(killerId)
+    if (killer && killer !== player) killer.kills++
+
+    this.releaseGhost(player, null)
+    player.input = {}
+    player.inputQueue = []
+    player.respawnAt = performance.now() + RESPAWN_DELAY
+    this.send({
+      type: MessageTypes.PLAYER_DIED,
+      playerId: player.id,
+      killer: killerId,
+      respawnDelay: RESPAWN_DELAY,
+      spawnPoints: SPAWN_VOLUMES.map(({ id, name }) => ({ id, name }))
+    })
+  }
+
+  respawn(player, spawnPointId) {
+    // Only the dead can respawn, and only once their timer is up
+    if (player.respawnAt === null || performance.now() < player.respawnAt) return
+
+    const volume = SPAWN_VOLUMES.find(spawn => spawn.id === spawnPointId) || SPAWN_VOLUMES[0]
+    const position = this.getSpawnPosition(volume)
+    player.health = 100
+    player.respawnAt = null
+    player.motor.setState(position, { x: 0, y: 0, z: 0 })
+    this.send({ type: MessageTypes.PLAYER_RESPAWNED, playerId: player.id, position })
+  }
+
+  // Random spot on the volume's footprint, at its centre height so the
+  // capsule drops onto whatever is below. Spawn volumes aren't rotated
+  getSpawnPosition(volume) {
+    return {
+      x: volume.position.x + (Math.random() - 0.5) * volume.size.x,
+      y: volume.position.y,
+      z: volume.position.z + (Math.random() - 0.5) * volume.size.z
+    }
+  }
+
+  distance(a, b) {
+    return Math.sqrt((a.x - b.x) ** 2 + (a.y - b.y) ** 2 + (a.z - b.z) ** 2)
+  }
+
+  serializePlayer(player) {
+    return {
+      id: player.id,
+      name: player.name,
+      color: player.color,
+      position: { ...player.motor.position },
+      velocity: { ...player.motor.velocity },
+      lookDirection: player.lookDirection,
+      health: player.health,
+      isGrounded: player.motor.isGrounded,
+      groundDistance: null,
+      carryingGhost: player.carryingGhost,
+      lastProcessedInput: player.lastProcessedInput
+    }
+  }
+
+  serializeStats(player) {
+    return {
+      id: player.id,
+      name: player.name,
+      color: player.color,
+      kills: player.kills,
+      deaths: player.deaths,
+      score: player.kills,
+      vehicle: player.vehicle,
+      connectedTime: (performance.now() - player.joinedAt) / 1000
+    }
+  }
+
+  serializeVehicle(vehicle) {
+    return {
+      id: vehicle.id,
+      type: vehicle.type,
+      position: { ...vehicle.position },
+      rotation: { x: 0, y: Math.sin(vehicle.heading / 2), z: 0, w: Math.cos(vehicle.heading / 2) },
+      driver: vehicle.driver,
+      throttle: vehicle.throttle,
+      altitude: vehicle.position.y
+    }
+  }
+
+  serializeGhost(ghost) {
+    const position = ghost.body.translation()
+    const rotation = ghost.body.rotation()
+    return {
+      id: ghost.id,
+      type: ghost.type,
+      size: ghost.size,
+      color: ghost.color,
+      position: { x: position.x, y: position.y, z: position.z },
+      rotation: { x: rotation.x, y: rotation.y, z: rotation.z, w: rotation.w },
+      carrier: ghost.carrier
+    }
+  }
+
+  serializeProjectile(projectile) {
+    return {
+      id: projectile.id,
+      owner: projectile.owner,
+      position: { ...projectile.position },
+      velocity: { ...projectile.velocity }
+    }
+  }
+}
@@ -0,0 +1,110 @@
+import RAPIER from '@dimforge/rapier3d-compat'
+
+// Thin wrapper around rapier so the WASM module is only initialised once
+export class Physics {
+  static ready = false
+  static initPromise = null
+
+  static async init() {
+    if (!this.initPromise) {
+      this.initPromise = RAPIER.init().then(() => {
+        this.ready = true
+      })
+    }
+    return this.initPromise
+  }
+
+  static createWorld(gravity = { x: 0, y: -9.81, z: 0 }) {
+    const world = new RAPIER.World(gravity)
+
+    // Ground slab matching the one built in Scene.init
+    world.createCollider(
+      RAPIER.ColliderDesc.cuboid(50, 0.5, 50).setTranslation(0, -0.5, 0)
+    )
+
+    return world
+  }
+
+  static createLevelColliders(world, levelData) {
+    const colliders = []
+
+    for (const objData of levelData) {
+      const desc = this.createLevelColliderDesc(objData)
+      if (!desc) continue
+
+      const { position } = objData
+      desc.setTranslation(position.x, position.y, position.z)
+      if (objData.rotation) {
+        desc.setRotation(this.toQuaternion(objData.rotation))
+      }
+      colliders.push(world.createCollider(desc))
+    }
+
+    // Step once so the query pipeline knows about the new colliders
+    world.step()
+
+    return colliders
+  }
+
+  // Shapes match what Scene.createLevel draws. Lights, volumes and models
+  // without a size don't collide, unknown types are reported by the Scene
+  static createLevelColliderDesc(objData) {
+    switch (objData.type) {
+      case 'cube':
+      case 'box':
+        return RAPIER.ColliderDesc.cuboid(objData.size.x / 2, objData.size.y / 2, objData.size.z / 2)
+      case 'sphere':
+        return RAPIER.ColliderDesc.ball(objData.radius)
+      case 'cylinder':
+        return RAPIER.ColliderDesc.cylinder(objData.height / 2, objData.radius)
+      case 'ramp':
+        return RAPIER.ColliderDesc.convexHull(new Float32Array(this.getRampVertices(objData.size).flat()))
+      case 'model':
+        return objData.size
+          ? RAPIER.ColliderDesc.cuboid(objData.size.x / 2, objData.size.y / 2, objData.size.z / 2)
+          : null
+      default:
+        return null
+    }
+  }
+
+  // Corners of a ramp centered on its position: full height at the +z end,
+  // sloping down to the ground at the -z end
+  static getRampVertices(size) {
+    const x = size.x / 2
+    const y = size.y / 2
+    const z = size.z / 2
+    return [
+      [-x, -y, -z], [x, -y, -z],
+      [-x, -y, z], [x, -y, z],
+      [-x, y, z], [x, y, z]
+    ]
+  }
+
+  // Level rotations are either a quaternion or Euler angles in radians (XYZ
+  // order, like three.js)
+  static toQuaternion(rotation) {
+    if (rotation.w !== undefined) return rotation
+
+    const c1 = Math.cos((rotation.x || 0) / 2)
+    const c2 = Math.cos((rotation.y || 0) / 2)
+    const c3 = Math.cos((rotation.z || 0) / 2)
+    const s1 = Math.sin((rotation.x || 0) / 2)
+    const s2 = Math.sin((rotation.y || 0) / 2)
+    const s3 = Math.sin((rotation.z || 0) / 2)
+
+    return {
+      x: s1 * c2 * c3 + c1 * s2 * s3,
+      y: c1 * s2 * c3 - s1 * c2 * s3,
+      z: c1 * c2 * s3 + s1 * s2 * c3,
+      w: c1 * c2 * c3 - s1 * s2 * s3
+    }
+  }
+
+  static removeColliders(world, colliders) {
+    for (const collider of colliders) {
+      world.removeCollider(collider, false)
+    }
+    world.step()
+  }
+}
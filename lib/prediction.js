@@ -0,0 +1,148 @@
+import * as THREE from 'three'
+import { Physics } from './physics.js'
+import { CharacterMotor } from './character.js'
+import { State } from './state.js'
+
+// Client-side prediction for the local player. Every input sent to the server
+// is simulated immediately and kept until the server acknowledges it through
+// lastProcessedInput, then unacknowledged inputs are replayed on top of the
+// authoritative state.
+export class Prediction {
+  static enabled = true
+  static world = null
+  static motor = null
+  static levelColliders = []
+  static pendingInputs = []
+  static sequence = 0
+  static hasState = false
+  static correction = new THREE.Vector3()
+  static previousPosition = new THREE.Vector3()
+  static renderPosition = new THREE.Vector3()
+  static lastStepTime = 0
+  static stepInterval = 0
+  static maxPendingInputs = 120
+  static snapDistance = 3 // Errors larger than this teleport instead of smoothing
+  static correctionRate = 10 // How quickly visual error decays, per second
+
+  static async init() {
+    try {
+      await Physics.init()
+      this.world = Physics.createWorld()
+      this.motor = new CharacterMotor(this.world)
+    } catch (error) {
+      console.error('Failed to initialise client prediction:', error)
+      this.world = null
+      this.motor = null
+    }
+  }
+
+  static get active() {
+    return this.enabled && !!this.motor && this.hasState && !State.currentVehicle
+  }
+
+  static setLevel(levelData) {
+    if (!this.world) return
+    Physics.removeColliders(this.world, this.levelColliders)
+    this.levelColliders = Physics.createLevelColliders(this.world, levelData)
+  }
+
+  static nextSequence() {
+    return ++this.sequence
+  }
+
+  // Simulate one input tick locally and keep it around for replay
+  static applyInput(input, dt, sequence) {
+    if (!this.active) return
+
+    this.previousPosition.set(
+      this.motor.position.x,
+      this.motor.position.y,
+      this.motor.position.z
+    )
+    this.motor.step(input, input.lookDirection, dt)
+    this.lastStepTime = performance.now()
+    this.stepInterval = dt * 1000
+
+    this.pendingInputs.push({ sequence, input, dt })
+    if (this.pendingInputs.length > this.maxPendingInputs) {
+      this.pendingInputs.shift()
+    }
+  }
+
+  static reconcile(playerData) {
+    if (!this.motor) return
+
+    // Vehicles are fully server driven, forget anything we predicted
+    if (State.currentVehicle) {
+      this.reset()
+      return
+    }
+
+    const predicted = new THREE.Vector3(
+      this.motor.position.x,
+      this.motor.position.y,
+      this.motor.position.z
+    )
+
+    if (playerData.lastProcessedInput !== undefined) {
+      this.pendingInputs = this.pendingInputs.filter(
+        pending => pending.sequence > playerData.lastProcessedInput
+      )
+    }
+
+    // Rewind to the authoritative state and replay what the server hasn't seen
+    this.motor.setState(playerData.position, playerData.velocity)
+    this.motor.isGrounded = !!playerData.isGrounded
+    for (const pending of this.pendingInputs) {
+      this.motor.step(pending.input, pending.input.lookDirection, pending.dt)
+    }
+
+    if (!this.hasState) {
+      this.hasState = true
+      this.correction.set(0, 0, 0)
+      this.previousPosition.set(
+        this.motor.position.x,
+        this.motor.position.y,
+        this.motor.position.z
+      )
+      this.renderPosition.copy(this.previousPosition)
+      return
+    }
+
+    // Carry the difference over as a visual offset that decays over time
+    const error = predicted.sub(new THREE.Vector3(
+      this.motor.position.x,
+      this.motor.position.y,
+      this.motor.position.z
+    ))
+    this.correction.add(error)
+    this.previousPosition.sub(error)
+    if (this.correction.length() > this.snapDistance) {
+      this.correction.set(0, 0, 0)
+      this.previousPosition.set(
+        this.motor.position.x,
+        this.motor.position.y,
+        this.motor.position.z
+      )
+    }
+  }
+
+  static update(dt) {
+    if (!this.active) return
+
+    this.correction.multiplyScalar(Math.exp(-this.correctionRate * dt))
+    
+    // Input ticks are coarser than frames, blend from the previous tick
+    const alpha = this.stepInterval > 0
+      ? Math.min((performance.now() - this.lastStepTime) / this.stepInterval, 1)
+      : 1
+    this.renderPosition.lerpVectors(this.previousPosition, this.motor.position, alpha)
+      .add(this.correction)
+  }
+
+  static reset() {
+    this.pendingInputs = []
+    this.hasState = false
+    this.correction.set(0, 0, 0)
+  }
+}
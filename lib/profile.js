@@ -0,0 +1,84 @@
+import { MessageTypes } from '@game/shared'
+import { Network } from './network.js'
+import { State } from './state.js'
+
+const PROFILE_KEY = 'coop.profile'
+const MAX_NAME_LENGTH = 16
+
+// Display name, body color and a stable id, kept in localStorage and sent
+// with JOIN so other players see the same person across sessions
+export class Profile {
+  static colors = ['#0088ff', '#ff8800', '#00cc66', '#cc33ff', '#ff3366', '#ffcc00', '#33cccc', '#ffffff']
+
+  static load() {
+    let saved = null
+    try {
+      saved = JSON.parse(localStorage.getItem(PROFILE_KEY))
+    } catch {
+      // Fall through to a fresh profile
+    }
+
+    State.profile.id = saved && saved.id ? saved.id : this.createId()
+    State.profile.name = saved ? this.cleanName(saved.name) : ''
+    State.profile.color = saved && this.isValidColor(saved.color) ? saved.color : this.colors[0]
+    this.store()
+  }
+
+  // crypto.randomUUID() only exists on https and localhost, LAN servers are
+  // often reached over plain http. getRandomValues() works everywhere
+  static createId() {
+    const bytes = crypto.getRandomValues(new Uint8Array(16))
+    // Version 4 and variant bits, so it still looks like a UUID
+    bytes[6] = (bytes[6] & 0x0f) | 0x40
+    bytes[8] = (bytes[8] & 0x3f) | 0x80
+    const hex = Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('')
+    return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`
+  }
+
+  static store() {
+    localStorage.setItem(PROFILE_KEY, JSON.stringify(State.profile))
+  }
+
+  // Updates the saved profile and tells the server if we're in a game.
+  // Returns an error message, or null if it was accepted.
+  static update(changes) {
+    const name = 'name' in changes ? this.cleanName(changes.name) : State.profile.name
+    const color = 'color' in changes ? changes.color : State.profile.color
+    if ('name' in changes && !name) return 'Name cannot be empty'
+    if (!this.isValidColor(color)) return 'Color must look like #rrggbb'
+
+    State.profile.name = name
+    State.profile.color = color
+    this.store()
+
+    if (State.connected && !State.replay.loaded) {
+      Network.send({ type: MessageTypes.SET_PROFILE, name, color })
+    }
+    return null
+  }
+
+  static cleanName(name) {
+    // Strip control characters so names can't break chat or name tags
+    return typeof name === 'string'
+      ? name.replace(/[\u0000-\u001f\u007f]/g, '').trim().slice(0, MAX_NAME_LENGTH)
+      : ''
+  }
+
+  static isValidColor(color) {
+    return typeof color === 'string' && /^#[0-9a-f]{6}$/i.test(color)
+  }
+
+  // What goes in JOIN
+  static describe() {
+    return {
+      id: State.profile.id,
+      name: State.profile.name || null,
+      color: State.profile.color
+    }
+  }
+
+  static displayName(playerData, playerId = playerData && playerData.id) {
+    if (playerData && playerData.name) return playerData.name
+    return playerId ? `Player ${playerId.substring(0, 6)}` : 'Unknown'
+  }
+}
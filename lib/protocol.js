@@ -0,0 +1,88 @@
+import { MessageTypes, PlayerConstants, VERSION } from '@game/shared'
+
+// Bump whenever messages change in a way an older peer can't understand
+export const PROTOCOL_VERSION = 1
+
+// Message definitions come from @game/shared, so a different major version
+// means client and server disagree about what the messages look like
+export const SHARED_VERSION = VERSION
+
+// Whatever the enum values are (strings or numbers), a type is valid when it's one of them
+const MESSAGE_TYPES = new Set(Object.values(MessageTypes))
+
+// Everything this client reads from @game/shared by name. The dependency
+// tracks coop-shared's main branch, and a missing entry would only show up as
+// messages going out with `type: undefined`, so startup checks for all of them
+const REQUIRED_MESSAGE_TYPES = [
+  'INIT', 'JOIN', 'RESUMED', 'GAME_STATE', 'STATE_ACK', 'REQUEST_KEYFRAME', 'INPUT', 'PING', 'PONG',
+  'PLAYER_JOINED', 'PLAYER_LEFT', 'SET_PROFILE', 'CHAT_MESSAGE', 'CHAT_COMMAND',
+  'ENTITY_ENTER', 'ENTITY_LEAVE', 'INTEREST', 'VEHICLE_UPDATE', 'GHOST_UPDATE',
+  'ENTER_VEHICLE', 'EXIT_VEHICLE', 'GRAB_GHOST', 'DROP_GHOST', 'THROW_GHOST',
+  'FIRE', 'PROJECTILE_SPAWN', 'PROJECTILE_REMOVE', 'HIT',
+  'PLAYER_DIED', 'RESPAWN', 'PLAYER_RESPAWNED', 'ROUND_START', 'ROUND_END'
+]
+const REQUIRED_PLAYER_CONSTANTS = [
+  'HEIGHT', 'RADIUS', 'MOUSE_SENSITIVITY', 'MOVE_SPEED', 'SPRINT_MULTIPLIER', 'JUMP_SPEED', 'GRAVITY'
+]
+
+// Optional features this client understands, announced in JOIN. The server
+// announces its own list in INIT.
+export const CAPABILITIES = ['deltas', 'resume', 'spectator', 'chat', 'interest']
+
+export class Protocol {
+  static describe() {
+    return {
+      version: PROTOCOL_VERSION,
+      shared: SHARED_VERSION,
+      capabilities: CAPABILITIES
+    }
+  }
+
+  // Returns null when we can talk to the server, otherwise what doesn't match
+  // and which side is out of date
+  static check(remote) {
+    // Servers from before the handshake don't say anything, assume they're fine
+    if (!remote) return null
+
+    if (remote.version !== PROTOCOL_VERSION) {
+      return {
+        field: 'protocol',
+        client: PROTOCOL_VERSION,
+        server: remote.version,
+        outdated: remote.version > PROTOCOL_VERSION ? 'client' : 'server'
+      }
+    }
+
+    if (remote.shared && this.major(remote.shared) !== this.major(SHARED_VERSION)) {
+      return {
+        field: 'shared',
+        client: SHARED_VERSION,
+        server: remote.shared,
+        outdated: this.major(remote.shared) > this.major(SHARED_VERSION) ? 'client' : 'server'
+      }
+    }
+
+    return null
+  }
+
+  // Names the installed @game/shared doesn't define, empty when it has everything
+  static findMissingShared() {
+    const missing = []
+    if (VERSION === undefined) missing.push('VERSION')
+    for (const name of REQUIRED_MESSAGE_TYPES) {
+      if (!MessageTypes || MessageTypes[name] === undefined) missing.push(`MessageTypes.${name}`)
+    }
+    for (const name of REQUIRED_PLAYER_CONSTANTS) {
+      if (!PlayerConstants || PlayerConstants[name] === undefined) missing.push(`PlayerConstants.${name}`)
+    }
+    return missing
+  }
+
+  static isKnownType(type) {
+    return MESSAGE_TYPES.has(type)
+  }
+
+  static major(version) {
+    return Number(String(version).split('.')[0]) || 0
+  }
+}
@@ -0,0 +1,77 @@
+import { MessageTypes } from '@game/shared'
+import { Network } from './network.js'
+import { Scene } from './scene.js'
+import { State } from './state.js'
+
+export const REPLAY_VERSION = 1
+
+// Records inbound messages and local inputs with timestamps so a session can
+// be downloaded and fed back through the replay viewer
+export class Recorder {
+  static events = []
+  static startTime = 0
+
+  static start() {
+    this.events = []
+    this.startTime = performance.now()
+    State.recording = true
+    State.recordedEvents = 0
+
+    // Deltas need a baseline from the same file, nothing replays until a keyframe is in
+    State.recordingKeyframe = false
+
+    // Started mid-session, the INIT that set up the world came before us
+    if (State.connected && State.playerId) {
+      this.record('in', {
+        type: MessageTypes.INIT,
+        playerId: State.playerId,
+        level: Scene.levelData
+      })
+      Network.requestKeyframe(true)
+    }
+  }
+
+  static stop() {
+    State.recording = false
+    State.recordedEvents = this.events.length
+  }
+
+  static record(kind, message) {
+    if (!State.recording) return
+
+    if (!State.recordingKeyframe && kind === 'in' && message.type === MessageTypes.GAME_STATE) {
+      if (message.delta) return
+      State.recordingKeyframe = true
+    }
+
+    this.events.push({
+      t: Math.round(performance.now() - this.startTime),
+      kind,
+      message
+    })
+  }
+
+  // Called once a second from the engine loop
+  static updateStats() {
+    if (State.recording) {
+      State.recordedEvents = this.events.length
+    }
+  }
+
+  static download() {
+    const replay = {
+      version: REPLAY_VERSION,
+      recordedAt: new Date().toISOString(),
+      playerId: State.playerId,
+      events: this.events
+    }
+
+    const blob = new Blob([JSON.stringify(replay)], { type: 'application/json' })
+    const url = URL.createObjectURL(blob)
+    const link = document.createElement('a')
+    link.href = url
+    link.download = `coop-replay-${replay.recordedAt.replace(/[:.]/g, '-')}.json`
+    link.click()
+    URL.revokeObjectURL(url)
+  }
+}
@@ -0,0 +1,94 @@
+import { Network } from './network.js'
+import { Entities } from './entities.js'
+import { Vehicles } from './vehicles.js'
+import { Ghosts } from './ghosts.js'
+import { Interpolation } from './interpolation.js'
+import { Snapshots } from './snapshots.js'
+import { Prediction } from './prediction.js'
+import { Combat } from './combat.js'
+import { REPLAY_VERSION } from './recorder.js'
+import { State } from './state.js'
+
+// Plays a recording back through Network.handleMessage as if it came live
+// from the server. Seeking backwards rebuilds the world from the start.
+export class Replay {
+  static events = []
+  static cursor = 0
+  static time = 0
+  static lastInput = null
+
+  static async load(file) {
+    const replay = JSON.parse(await file.text())
+    if (replay.version !== REPLAY_VERSION || !Array.isArray(replay.events)) {
+      throw new Error(`Unsupported replay file (version ${replay.version})`)
+    }
+
+    this.events = replay.events
+    this.reset()
+
+    // Nothing should try to predict or talk to a server while replaying
+    Prediction.enabled = false
+    State.connected = true
+    State.spectating = true
+    State.freeCamera = true
+    State.replay.loaded = true
+    State.replay.duration = this.events.length > 0 ? this.events[this.events.length - 1].t : 0
+    State.replay.playing = true
+  }
+
+  static reset() {
+    Entities.cleanup()
+    Vehicles.cleanup()
+    Ghosts.cleanup()
+    Interpolation.clear()
+    Snapshots.reset()
+    Combat.reset()
+
+    this.cursor = 0
+    this.time = 0
+    this.lastInput = null
+    State.replay.time = 0
+    State.replay.input = null
+  }
+
+  static update(delta) {
+    if (!State.replay.loaded || !State.replay.playing) return
+
+    this.advance(this.time + delta * 1000 * State.replay.speed)
+
+    if (this.time >= State.replay.duration) {
+      State.replay.playing = false
+    }
+  }
+
+  static advance(time) {
+    this.time = Math.min(time, State.replay.duration)
+
+    while (this.cursor < this.events.length && this.events[this.cursor].t <= this.time) {
+      const event = this.events[this.cursor++]
+      if (event.kind === 'in') {
+        Network.handleMessage(event.message)
+      } else if (event.kind === 'input') {
+        this.lastInput = event.message.input
+      }
+    }
+
+    State.replay.time = this.time
+    State.replay.input = this.lastInput
+  }
+
+  static seek(time) {
+    if (time < this.time) {
+      this.reset()
+    }
+    this.advance(time)
+  }
+
+  static togglePlaying() {
+    // Restart from the beginning when play is pressed at the end
+    if (!State.replay.playing && this.time >= State.replay.duration) {
+      this.seek(0)
+    }
+    State.replay.playing = !State.replay.playing
+  }
+}
@@ -1,10 +1,26 @@
 import * as THREE from 'three'
+import { Models } from './models.js'
+import { Physics } from './physics.js'
+import { State } from './state.js'
+
+// Props under public/models that levels can place by name
+export const LEVEL_MODELS = {
+  'space-station': '/models/space-station.glb',
+  asteroid: '/models/asteroid.glb',
+  satelite: '/models/satelite.glb',
+  rocket: '/models/rocket.glb',
+  'alien-structure': '/models/alien-structure.glb'
+}
 
 export class Scene {
   static scene = null
   static camera = null
   static renderer = null
   static levelObjects = []
+  static levelData = []
+  static volumes = []
+  static levelGeneration = 0
+  static textureLoader = new THREE.TextureLoader()
 
   static init(container) {
     // Setup Three.js scene
@@ -51,47 +67,211 @@ export class Scene {
     this.camera.lookAt(0, 0, 0)
   }
 
+  // Level entries all have a `position` and may have a `rotation` (Euler
+  // radians or a quaternion). By type:
+  //   cube/box     size {x, y, z}
+  //   sphere       radius
+  //   cylinder     radius, height
+  //   ramp         size {x, y, z}, rising towards +z
+  //   model        model (a LEVEL_MODELS name) or path, scale, optional
+  //                size for its collider
+  //   point-light  color, intensity, distance
+  //   spot-light   color, intensity, distance, angle, penumbra, target {x, y, z}
+  //   volume       size {x, y, z}, tag ('spawn', 'trigger'...), id, name. The
+  //                server uses them (spawn volumes are where players appear),
+  //                the client only draws them in the debug view
+  // Shapes take a flat `color` and/or a `texture` URL with optional `repeat` {x, y}
   static createLevel(levelData) {
     // Remove any existing level objects
-    for (const obj of this.levelObjects) {
-      this.scene.remove(obj)
-      obj.geometry.dispose()
-      obj.material.dispose()
-    }
-    this.levelObjects = []
+    this.clearLevel()
+    const generation = this.levelGeneration
+    
+    // Kept for recordings started mid-session
+    this.levelData = levelData
     
     // Create objects from server data
     for (const objData of levelData) {
-      if (objData.type === 'cube') {
-        const geometry = new THREE.BoxGeometry(objData.size.x, objData.size.y, objData.size.z)
-        const material = new THREE.MeshLambertMaterial({ 
-          color: objData.color 
-        })
-        const cube = new THREE.Mesh(geometry, material)
-        cube.position.set(
-          objData.position.x,
-          objData.position.y,
-          objData.position.z
-        )
-        cube.castShadow = true
-        cube.receiveShadow = true
-        this.scene.add(cube)
-        this.levelObjects.push(cube)
+      switch (objData.type) {
+        case 'cube':
+        case 'box':
+        case 'sphere':
+        case 'cylinder':
+        case 'ramp':
+          this.addLevelObject(this.createShape(objData), objData)
+          break
+        case 'model':
+          this.placeModel(objData, generation)
+          break
+        case 'point-light':
+        case 'spot-light':
+          this.createLight(objData)
+          break
+        case 'volume':
+          this.createVolume(objData)
+          break
+        default:
+          console.warn(`Unknown level object type "${objData.type}", skipping it:`, objData)
       }
     }
   }
 
-  static render() {
-    this.renderer.render(this.scene, this.camera)
+  static createShape(objData) {
+    let geometry
+    switch (objData.type) {
+      case 'sphere':
+        geometry = new THREE.SphereGeometry(objData.radius, 24, 16)
+        break
+      case 'cylinder':
+        geometry = new THREE.CylinderGeometry(objData.radius, objData.radius, objData.height, 24)
+        break
+      case 'ramp':
+        geometry = this.createRampGeometry(objData.size)
+        break
+      default:
+        geometry = new THREE.BoxGeometry(objData.size.x, objData.size.y, objData.size.z)
+    }
+    
+    const mesh = new THREE.Mesh(geometry, this.createLevelMaterial(objData))
+    mesh.castShadow = true
+    mesh.receiveShadow = true
+    return mesh
   }
 
-  static cleanup() {
-    // Clean up level objects
+  // Same corners as the ramp collider
+  static createRampGeometry(size) {
+    const corners = Physics.getRampVertices(size)
+    const faces = [
+      [0, 1, 3], [0, 3, 2], // bottom
+      [2, 3, 5], [2, 5, 4], // back
+      [0, 4, 5], [0, 5, 1], // slope
+      [0, 2, 4], [1, 5, 3] // sides
+    ]
+    
+    // Unshared vertices so every face gets a flat normal
+    const positions = faces.flat().flatMap(index => corners[index])
+    const geometry = new THREE.BufferGeometry()
+    geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3))
+    geometry.computeVertexNormals()
+    return geometry
+  }
+
+  static createLevelMaterial(objData) {
+    const material = new THREE.MeshLambertMaterial({
+      color: objData.color ?? 0xffffff
+    })
+    
+    if (objData.texture) {
+      material.map = this.textureLoader.load(objData.texture, undefined, undefined, () => {
+        console.warn(`Failed to load level texture ${objData.texture}`)
+      })
+      material.map.colorSpace = THREE.SRGBColorSpace
+      if (objData.repeat) {
+        material.map.wrapS = THREE.RepeatWrapping
+        material.map.wrapT = THREE.RepeatWrapping
+        material.map.repeat.set(objData.repeat.x, objData.repeat.y)
+      }
+    }
+    return material
+  }
+
+  static async placeModel(objData, generation) {
+    const modelPath = objData.path || LEVEL_MODELS[objData.model]
+    if (!modelPath) {
+      console.warn(`Unknown level model "${objData.model}", skipping it:`, objData)
+      return
+    }
+    
+    const model = await Models.acquire(modelPath)
+    if (!model) return
+    
+    // The level may have been replaced while the model was loading
+    if (generation !== this.levelGeneration) {
+      Models.release(model)
+      return
+    }
+    
+    if (typeof objData.scale === 'number') {
+      model.scale.setScalar(objData.scale)
+    } else if (objData.scale) {
+      model.scale.set(objData.scale.x, objData.scale.y, objData.scale.z)
+    }
+    this.addLevelObject(model, objData)
+  }
+
+  static createLight(objData) {
+    const color = objData.color ?? 0xffffff
+    const intensity = objData.intensity ?? 1
+    const distance = objData.distance ?? 0
+    
+    let light
+    if (objData.type === 'spot-light') {
+      light = new THREE.SpotLight(color, intensity, distance, objData.angle ?? Math.PI / 6, objData.penumbra ?? 0.2)
+      
+      // The target has to be in the scene for its matrix to update
+      const target = objData.target || { x: objData.position.x, y: 0, z: objData.position.z }
+      light.target.position.set(target.x, target.y, target.z)
+      this.addLevelObject(light.target, {})
+    } else {
+      light = new THREE.PointLight(color, intensity, distance)
+    }
+    
+    this.addLevelObject(light, objData)
+  }
+
+  static createVolume(objData) {
+    const geometry = new THREE.BoxGeometry(objData.size.x, objData.size.y, objData.size.z)
+    const material = new THREE.MeshBasicMaterial({
+      color: objData.tag === 'spawn' ? 0x00ff00 : 0xffff00,
+      wireframe: true
+    })
+    
+    const volume = new THREE.Mesh(geometry, material)
+    volume.visible = State.showDebugInfo
+    volume.userData.tag = objData.tag
+    volume.userData.id = objData.id
+    this.volumes.push(volume)
+    this.addLevelObject(volume, objData)
+  }
+
+  static addLevelObject(object, objData) {
+    if (objData.position) {
+      object.position.set(objData.position.x, objData.position.y, objData.position.z)
+    }
+    if (objData.rotation) {
+      const { x, y, z, w } = Physics.toQuaternion(objData.rotation)
+      object.quaternion.set(x, y, z, w)
+    }
+    
+    this.scene.add(object)
+    this.levelObjects.push(object)
+  }
+
+  // Volumes tagged `tag`, e.g. 'spawn' or 'trigger'
+  static showVolumes(visible) {
+    for (const volume of this.volumes) {
+      volume.visible = visible
+    }
+  }
+
+  static clearLevel() {
+    // Pending model placements check this to know they're stale
+    this.levelGeneration++
+    
     for (const obj of this.levelObjects) {
       this.scene.remove(obj)
-      obj.geometry.dispose()
-      obj.material.dispose()
+      Models.dispose(obj)
+      if (obj.isLight) obj.dispose()
     }
     this.levelObjects = []
+    this.volumes = []
+  }
+
+  static render() {
+    this.renderer.render(this.scene, this.camera)
+  }
+
+  static cleanup() {
+    // Clean up level objects
+    this.clearLevel()
   }
 }
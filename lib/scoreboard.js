@@ -0,0 +1,66 @@
+import { Entities } from './entities.js'
+import { Vehicles } from './vehicles.js'
+import { Profile } from './profile.js'
+import { State } from './state.js'
+
+// Per-player stats from the `stats` field of GAME_STATE (and ROUND_END),
+// turned into sorted rows for the Scoreboard overlay
+export class Scoreboard {
+  static update(stats) {
+    State.scoreboard.players = stats
+      .map(row => this.toRow(row))
+      .sort((a, b) => b.score - a.score || b.kills - a.kills || a.deaths - b.deaths)
+  }
+
+  static toRow(row) {
+    const isYou = row.id === State.playerId
+    const vehicle = row.vehicle ? Vehicles.vehicles.get(row.vehicle) : null
+
+    return {
+      id: row.id,
+      name: row.name || (isYou && State.profile.name) || Profile.displayName(Entities.players.get(row.id), row.id),
+      color: row.color || null,
+      // Our own ping is measured locally if the server doesn't report it
+      ping: row.ping ?? (isYou && State.network.rtt !== null ? Math.round(State.network.rtt) : null),
+      kills: row.kills || 0,
+      deaths: row.deaths || 0,
+      score: row.score ?? row.kills ?? 0,
+      vehicle: vehicle ? vehicle.type : (row.vehicleType || null),
+      connectedTime: row.connectedTime || 0,
+      isYou
+    }
+  }
+
+  static roundEnd(message) {
+    if (Array.isArray(message.stats)) {
+      this.update(message.stats)
+    }
+
+    State.scoreboard.roundEnd = {
+      winner: message.winner ? this.getWinnerName(message.winner) : null,
+      nextRoundAt: message.nextRoundIn ? Date.now() + message.nextRoundIn : null
+    }
+  }
+
+  static roundStart() {
+    State.scoreboard.roundEnd = null
+  }
+
+  static getWinnerName(winnerId) {
+    const row = State.scoreboard.players.find(player => player.id === winnerId)
+    return row ? row.name : Profile.displayName(Entities.players.get(winnerId), winnerId)
+  }
+
+  static show() {
+    State.scoreboard.visible = true
+  }
+
+  static hide() {
+    State.scoreboard.visible = false
+  }
+
+  static reset() {
+    State.scoreboard.players = []
+    State.scoreboard.roundEnd = null
+  }
+}
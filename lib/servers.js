@@ -0,0 +1,132 @@
+import { MessageTypes } from '@game/shared'
+import { OfflineSocket } from './offline.js'
+
+const SAVED_KEY = 'coop.servers'
+const LAST_KEY = 'coop.lastServer'
+
+// Saved server list, remembered choice and status probing for the server browser
+export class Servers {
+  static defaultUrl = null
+
+  static init(defaultUrl) {
+    this.defaultUrl = defaultUrl
+  }
+
+  // ?server=wss://example.com or ?offline skips the browser entirely
+  static fromQuery() {
+    const params = new URLSearchParams(window.location.search)
+    if (params.has('offline')) return OfflineSocket.URL
+
+    const url = params.get('server')
+    return url && this.isValid(url) ? url : null
+  }
+
+  static isValid(url) {
+    try {
+      const parsed = new URL(url)
+      return parsed.protocol === 'ws:' || parsed.protocol === 'wss:'
+    } catch {
+      return false
+    }
+  }
+
+  static getSaved() {
+    try {
+      const saved = JSON.parse(localStorage.getItem(SAVED_KEY))
+      return Array.isArray(saved) ? saved : []
+    } catch {
+      return []
+    }
+  }
+
+  static list() {
+    const servers = this.defaultUrl ? [this.defaultUrl] : []
+    for (const url of this.getSaved()) {
+      if (!servers.includes(url)) servers.push(url)
+    }
+    return servers
+  }
+
+  static add(url) {
+    if (!this.isValid(url)) return false
+
+    const saved = this.getSaved()
+    if (!saved.includes(url) && url !== this.defaultUrl) {
+      saved.push(url)
+      localStorage.setItem(SAVED_KEY, JSON.stringify(saved))
+    }
+    return true
+  }
+
+  static remove(url) {
+    const saved = this.getSaved().filter(saved => saved !== url)
+    localStorage.setItem(SAVED_KEY, JSON.stringify(saved))
+  }
+
+  // The remembered server may have been removed since, fall back to the first one
+  static getLast() {
+    const servers = this.list()
+    const last = localStorage.getItem(LAST_KEY)
+    return servers.includes(last) ? last : servers[0] || null
+  }
+
+  static remember(url) {
+    if (url === OfflineSocket.URL) return
+    localStorage.setItem(LAST_KEY, url)
+  }
+
+  // Opens a short-lived socket and times a PING/PONG, the same round trip the
+  // game measures. Servers that report playerCount on INIT or PONG also fill
+  // in the player count. A socket that opens but never answers is still online
+  static probe(url, timeout = 3000) {
+    return new Promise((resolve) => {
+      let ws = null
+      let opened = false
+      let players = null
+
+      const finish = (result) => {
+        clearTimeout(timer)
+        if (ws) {
+          ws.onopen = ws.onmessage = ws.onerror = ws.onclose = null
+          ws.close()
+        }
+        resolve(result)
+      }
+      const timer = setTimeout(() => {
+        finish({ online: opened, ping: null, players })
+      }, timeout)
+
+      try {
+        ws = new WebSocket(url)
+      } catch {
+        finish({ online: false, ping: null, players: null })
+        return
+      }
+
+      ws.onopen = () => {
+        opened = true
+        ws.send(JSON.stringify({ type: MessageTypes.PING, time: performance.now() }))
+      }
+      ws.onmessage = (event) => {
+        // Nothing has negotiated the binary codec, so replies come as JSON
+        if (typeof event.data !== 'string') return
+        let message
+        try {
+          message = JSON.parse(event.data)
+        } catch {
+          return
+        }
+
+        if (typeof message.playerCount === 'number') {
+          players = message.playerCount
+        }
+        if (message.type === MessageTypes.PONG && typeof message.time === 'number') {
+          finish({ online: true, ping: Math.round(performance.now() - message.time), players })
+        }
+      }
+      ws.onerror = ws.onclose = () => {
+        finish({ online: opened, ping: null, players })
+      }
+    })
+  }
+}
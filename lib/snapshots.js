@@ -0,0 +1,117 @@
+// Entity lists carried in GAME_STATE, keyed by entity id
+const COLLECTIONS = ['players', 'projectiles', 'vehicles', 'ghosts']
+
+// Rebuilds full game states from delta snapshots. A keyframe carries the whole
+// state; a delta only carries what changed since a baseline the client acked:
+//
+//   { sequence, baseline, players: { added: [], changed: [{ id, ...fields }], removed: [ids] }, ... }
+//
+// Recent states are kept so the server can diff against any acked baseline,
+// not just the newest one.
+export class Snapshots {
+  static history = new Map()
+  static historySize = 64
+  static lastSequence = -1
+  static needsKeyframe = false
+
+  // Returns { state, sequence } to apply, or null when the message is unusable
+  static receive(message) {
+    if (message.delta) {
+      return this.applyDelta(message.delta)
+    }
+
+    const state = message.state
+    const sequence = message.sequence ?? state.sequence ?? null
+    if (sequence !== null) {
+      if (sequence <= this.lastSequence) return null
+      this.store(sequence, this.fromState(state))
+    }
+    this.needsKeyframe = false
+
+    return { state, sequence }
+  }
+
+  static applyDelta(delta) {
+    // Older than what we already applied, arrived out of order
+    if (delta.sequence <= this.lastSequence) return null
+
+    const baseline = this.history.get(delta.baseline)
+    if (!baseline) {
+      // We never saw (or already dropped) the baseline, only a keyframe can fix this
+      this.needsKeyframe = true
+      return null
+    }
+
+    const snapshot = { collections: {}, fields: { ...baseline.fields } }
+
+    for (const name of COLLECTIONS) {
+      const entities = new Map(baseline.collections[name])
+      const changes = delta[name]
+
+      if (changes) {
+        for (const id of changes.removed || []) {
+          entities.delete(id)
+        }
+        for (const entity of changes.added || []) {
+          entities.set(entity.id, entity)
+        }
+        for (const entity of changes.changed || []) {
+          // Entities are shared with Entities/Vehicles/Ghosts, never mutate them
+          const previous = entities.get(entity.id)
+          entities.set(entity.id, previous ? { ...previous, ...entity } : entity)
+        }
+      }
+
+      snapshot.collections[name] = entities
+    }
+
+    // Anything else in the delta (e.g. timestamps) replaces the baseline value
+    for (const key of Object.keys(delta)) {
+      if (key !== 'sequence' && key !== 'baseline' && !COLLECTIONS.includes(key)) {
+        snapshot.fields[key] = delta[key]
+      }
+    }
+
+    this.store(delta.sequence, snapshot)
+    return { state: this.toState(snapshot), sequence: delta.sequence }
+  }
+
+  static store(sequence, snapshot) {
+    this.history.set(sequence, snapshot)
+    this.lastSequence = sequence
+
+    // Maps iterate in insertion order, so the first key is the oldest
+    while (this.history.size > this.historySize) {
+      this.history.delete(this.history.keys().next().value)
+    }
+  }
+
+  static fromState(state) {
+    const snapshot = { collections: {}, fields: {} }
+
+    for (const name of COLLECTIONS) {
+      snapshot.collections[name] = new Map((state[name] || []).map(entity => [entity.id, entity]))
+    }
+    for (const key of Object.keys(state)) {
+      if (!COLLECTIONS.includes(key)) {
+        snapshot.fields[key] = state[key]
+      }
+    }
+
+    return snapshot
+  }
+
+  static toState(snapshot) {
+    const state = { ...snapshot.fields }
+    for (const name of COLLECTIONS) {
+      state[name] = Array.from(snapshot.collections[name].values())
+    }
+    return state
+  }
+
+  static reset() {
+    this.history.clear()
+    this.lastSequence = -1
+    this.needsKeyframe = false
+  }
+}
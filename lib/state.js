@@ -3,14 +3,97 @@ import { reactive } from 'vue'
 // Global reactive state that can be accessed from anywhere
 export const State = reactive({
   connected: false,
+  reconnecting: false,
+  reconnectAttempt: 0,
   playerCount: 0,
   playerId: null,
   playerHealth: null,
   currentVehicle: null,
   nearbyVehicle: null,
   thirdPerson: false,
+  freeCamera: false,
+  spectating: false,
+  spectateTarget: null,
   showDebugInfo: false,
   fps: 0,
   carryingGhost: null,
-  nearbyGhost: null
+  nearbyGhost: null,
+  network: {
+    codec: 'json',
+    rtt: null,
+    jitter: 0,
+    interArrival: null,
+    bytesIn: 0,
+    bytesOut: 0,
+    byType: [],
+    capabilities: [],
+    malformed: 0,
+    unknown: 0,
+    handlerErrors: 0,
+    lastError: null
+  },
+  protocolMismatch: null,
+  death: null,
+  scoreboard: {
+    visible: false,
+    players: [],
+    roundEnd: null
+  },
+  combat: {
+    damageIndicators: [],
+    hitMarker: null,
+    killFeed: [],
+    lastDamageTime: null,
+    lastId: 0
+  },
+  profile: {
+    id: null,
+    name: '',
+    color: '#0088ff'
+  },
+  chat: {
+    open: false,
+    messages: [],
+    lastId: 0
+  },
+  recording: false,
+  recordingKeyframe: false,
+  recordedEvents: 0,
+  replay: {
+    loaded: false,
+    playing: false,
+    duration: 0,
+    time: 0,
+    speed: 1,
+    input: null
+  },
+  inputRate: 30,
+  interpolationDelay: 100,
+  interpolation: {
+    entities: 0,
+    averageBuffered: 0,
+    extrapolating: 0
+  },
+  interestRadius: 150,
+  interest: {
+    tracked: 0,
+    culled: 0
+  },
+  assets: {
+    files: []
+  },
+  lod: {
+    tracked: 0,
+    culled: 0,
+    simplified: 0
+  },
+  models: {
+    cached: 0,
+    parses: 0,
+    clones: 0,
+    tints: 0,
+    instanced: 0,
+    geometries: 0,
+    textures: 0
+  }
 })
@@ -3,8 +3,11 @@ import { VehicleConstants, VehicleTypes } from '@game/shared'
 import { ModelPaths } from '@game/shared/core/models.js'
 import { Scene } from './scene.js'
 import { Models } from '../lib/models'
+import { Lod } from './lod.js'
 import { State } from './state.js'
 import { Engine } from './engine.js'
+import { Interpolation } from './interpolation.js'
+import { Animations } from './animations.js'
 
 export class Vehicles {
   static vehicles = new Map()
@@ -16,35 +19,28 @@ export class Vehicles {
     if (!existingVehicle) {
       // New vehicle
       this.vehicles.set(vehicleData.id, vehicleData)
+      this.pushSnapshot(vehicleData)
       await this.createVehicleMesh(vehicleData)
     } else {
       // Update existing vehicle
       this.vehicles.set(vehicleData.id, vehicleData)
       
-      // Update mesh position and rotation
+      // Buffer the new transform, meshes are moved in interpolate()
+      this.pushSnapshot(vehicleData)
+      
       const mesh = this.vehicleMeshes.get(vehicleData.id)
       if (mesh) {
-        mesh.position.set(
-          vehicleData.position.x,
-          vehicleData.position.y,
-          vehicleData.position.z
-        )
-        
-        if (vehicleData.rotation && vehicleData.rotation.w !== undefined) {
-          mesh.quaternion.set(
-            vehicleData.rotation.x,
-            vehicleData.rotation.y,
-            vehicleData.rotation.z,
-            vehicleData.rotation.w
-          )
-        }
-        
         // Store altitude for landing gear animation
         if (vehicleData.type === VehicleTypes.HELICOPTER) {
           mesh.userData.altitude = vehicleData.position.y
         }
       }
       
+      // Models with a door clip open it whenever someone gets in or out
+      if (existingVehicle.driver !== vehicleData.driver) {
+        this.playAnimation(vehicleData.id, 'door')
+      }
+      
       // Update current vehicle reference
       if (vehicleData.driver === State.playerId) {
         State.currentVehicle = vehicleData.id
@@ -71,7 +67,7 @@ export class Vehicles {
     }
     
     // Try to load model
-    const model = Engine.modelsLoaded ? await Models.loadModel(modelPath) : null
+    const model = Engine.modelsLoaded ? await Models.acquire(modelPath) : null
     
     if (model) {
       group = model
@@ -97,6 +93,7 @@ export class Vehicles {
       const scaleZ = targetSize.length / size.z
       const scale = Math.min(scaleX, scaleY, scaleZ)
       group.scale.setScalar(scale)
+      group = await Lod.create(group, modelPath)
       
       // Adjust position to match server physics collider
       if (vehicleData.type === VehicleTypes.HELICOPTER) {
@@ -120,64 +117,35 @@ export class Vehicles {
         group = wrapper
       }
       
-      // Find animated parts
+      // Find animated parts, see REQUIRED_PARTS for the names each model may use
       const actualModel = group.children[0] || group
+      const parts = Models.findParts(actualModel, modelPath)
       if (vehicleData.type === VehicleTypes.HELICOPTER) {
-        const mainRotor = Models.getNamedMesh(actualModel, 'MainRotor')
-        if (mainRotor) {
+        if (parts.mainRotor) {
           // Store the original rotation to preserve any tilt
-          group.userData.mainRotor = mainRotor
-          group.userData.mainRotorOriginalRotation = mainRotor.rotation.clone()
+          group.userData.mainRotor = parts.mainRotor
+          group.userData.mainRotorOriginalRotation = parts.mainRotor.rotation.clone()
         }
         
-        const tailRotor = Models.getNamedMesh(actualModel, 'TailRotor')
-        if (tailRotor) {
-          group.userData.tailRotor = tailRotor
-          group.userData.tailRotorOriginalRotation = tailRotor.rotation.clone()
+        if (parts.tailRotor) {
+          group.userData.tailRotor = parts.tailRotor
+          group.userData.tailRotorOriginalRotation = parts.tailRotor.rotation.clone()
         }
         
-        // Find landing gear parts
-        const leftGear = Models.getNamedMesh(actualModel, 'LeftGear') || 
-                        Models.getNamedMesh(actualModel, 'LeftLandingGear') ||
-                        Models.getNamedMesh(actualModel, 'LGear')
-        const rightGear = Models.getNamedMesh(actualModel, 'RightGear') || 
-                         Models.getNamedMesh(actualModel, 'RightLandingGear') ||
-                         Models.getNamedMesh(actualModel, 'RGear')
-        const frontGear = Models.getNamedMesh(actualModel, 'FrontGear') || 
-                         Models.getNamedMesh(actualModel, 'NoseGear') ||
-                         Models.getNamedMesh(actualModel, 'FGear')
-        const rearGear = Models.getNamedMesh(actualModel, 'RearGear') || 
-                        Models.getNamedMesh(actualModel, 'TailGear')
-        
         // Store gear references and original rotations
-        if (leftGear) {
-          group.userData.leftGear = leftGear
-          group.userData.leftGearOriginalRotation = leftGear.rotation.clone()
-          group.userData.leftGearOriginalPosition = leftGear.position.clone()
-        }
-        if (rightGear) {
-          group.userData.rightGear = rightGear
-          group.userData.rightGearOriginalRotation = rightGear.rotation.clone()
-          group.userData.rightGearOriginalPosition = rightGear.position.clone()
-        }
-        if (frontGear) {
-          group.userData.frontGear = frontGear
-          group.userData.frontGearOriginalRotation = frontGear.rotation.clone()
-          group.userData.frontGearOriginalPosition = frontGear.position.clone()
-        }
-        if (rearGear) {
-          group.userData.rearGear = rearGear
-          group.userData.rearGearOriginalRotation = rearGear.rotation.clone()
-          group.userData.rearGearOriginalPosition = rearGear.position.clone()
+        for (const gear of ['leftGear', 'rightGear', 'frontGear', 'rearGear']) {
+          if (parts[gear]) {
+            group.userData[gear] = parts[gear]
+            group.userData[`${gear}OriginalRotation`] = parts[gear].rotation.clone()
+            group.userData[`${gear}OriginalPosition`] = parts[gear].position.clone()
+          }
         }
         
         // Initialize gear state
         group.userData.gearExtended = true
         group.userData.gearTransition = 0 // 0 = extended, 1 = retracted
       } else if (vehicleData.type === VehicleTypes.PLANE) {
-        const propeller = actualModel.getObjectByName('propeller') || 
-                         actualModel.getObjectByName('prop')
-        if (propeller) group.userData.propeller = propeller
+        if (parts.propeller) group.userData.propeller = parts.propeller
       }
     } else {
       // Fallback to procedural meshes
@@ -332,8 +300,51 @@ export class Vehicles {
       }
     }
     
+    // Vehicle may have been removed while the model was loading
+    const latest = this.vehicles.get(vehicleData.id)
+    if (!latest || this.vehicleMeshes.has(vehicleData.id)) {
+      this.disposeMesh(group)
+      return
+    }
+    
+    group.position.set(
+      latest.position.x,
+      latest.position.y,
+      latest.position.z
+    )
+    
     Scene.scene.add(group)
     this.vehicleMeshes.set(vehicleData.id, group)
+    Lod.track(group, modelPath)
+    
+    if (model) {
+      Animations.attach(Interpolation.key('vehicle', vehicleData.id), model)
+    }
+  }
+
+  // Triggers a clip embedded in the vehicle's model, see Animations.play
+  static playAnimation(vehicleId, name, options) {
+    return Animations.play(Interpolation.key('vehicle', vehicleId), name, options)
+  }
+
+  static pushSnapshot(vehicleData) {
+    let quaternion = null
+    if (vehicleData.rotation && vehicleData.rotation.w !== undefined) {
+      quaternion = new THREE.Quaternion(
+        vehicleData.rotation.x,
+        vehicleData.rotation.y,
+        vehicleData.rotation.z,
+        vehicleData.rotation.w
+      )
+    }
+    
+    Interpolation.push(Interpolation.key('vehicle', vehicleData.id), vehicleData.position, quaternion)
+  }
+
+  static interpolate() {
+    for (const [id, mesh] of this.vehicleMeshes) {
+      Interpolation.sample(Interpolation.key('vehicle', id), mesh.position, mesh.quaternion)
+    }
   }
 
   static updateAnimations() {
@@ -377,7 +388,14 @@ export class Vehicles {
         const targetGearState = vehicle.altitude > 5 ? 1 : 0 // Retract when above 5 meters
         const gearSpeed = 0.02 // Speed of gear animation
         
-        if (mesh.userData.gearTransition !== undefined) {
+        if (Animations.has(Interpolation.key('vehicle', vehicleId), 'gear')) {
+          // The model's own gear clip replaces the hand-rolled rotation below
+          if ((mesh.userData.gearTarget ?? 0) !== targetGearState) {
+            mesh.userData.gearTarget = targetGearState
+            this.playAnimation(vehicleId, 'gear', { reverse: targetGearState === 0 })
+          }
+          mesh.userData.gearExtended = targetGearState === 0
+        } else if (mesh.userData.gearTransition !== undefined) {
           // Smoothly transition gear state
           if (targetGearState > mesh.userData.gearTransition) {
             mesh.userData.gearTransition = Math.min(mesh.userData.gearTransition + gearSpeed, 1)
@@ -439,20 +457,36 @@ export class Vehicles {
     }
   }
 
+  static removeVehicle(vehicleId) {
+    const mesh = this.vehicleMeshes.get(vehicleId)
+    if (mesh) {
+      Scene.scene.remove(mesh)
+      Lod.untrack(mesh)
+      this.disposeMesh(mesh)
+    }
+    
+    if (State.currentVehicle === vehicleId) {
+      State.currentVehicle = null
+    }
+    
+    this.vehicleMeshes.delete(vehicleId)
+    this.vehicles.delete(vehicleId)
+    Interpolation.remove(Interpolation.key('vehicle', vehicleId))
+    Animations.remove(Interpolation.key('vehicle', vehicleId))
+  }
+
+  static disposeMesh(mesh) {
+    // Model clones go back to the cache, procedural fallbacks are ours
+    Models.dispose(mesh)
+  }
+
   static cleanup() {
     // Clean up vehicle meshes
-    for (const mesh of this.vehicleMeshes.values()) {
+    for (const [id, mesh] of this.vehicleMeshes) {
       Scene.scene.remove(mesh)
-      mesh.traverse((child) => {
-        if (child.geometry) child.geometry.dispose()
-        if (child.material) {
-          if (Array.isArray(child.material)) {
-            child.material.forEach(material => material.dispose())
-          } else {
-            child.material.dispose()
-          }
-        }
-      })
+      Lod.untrack(mesh)
+      this.disposeMesh(mesh)
+      Animations.remove(Interpolation.key('vehicle', id))
     }
     this.vehicleMeshes.clear()
     this.vehicles.clear()
@@ -1,4 +1,14 @@
 export default defineNuxtConfig({
+  runtimeConfig: {
+    public: {
+      // The static preset bakes this in when the site is generated, so set
+      // NUXT_PUBLIC_SERVER_URL for `nuxt generate`, not on the host serving it.
+      // Players can still pick another server with ?server= or the browser
+      serverUrl: process.env.NODE_ENV === 'development'
+        ? 'ws://localhost:8080'
+        : 'ws://thecoop.herokuapp.com'
+    }
+  },
   nitro: {
     preset: 'static',
     output: {